@@ -0,0 +1,6 @@
+<?php
+/**
+ * Silence is golden.
+ *
+ * @package WPPDFI_Directory_Filters
+ */
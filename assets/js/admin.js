@@ -19,7 +19,44 @@
         config: {
             debounceDelay: 300,
             maxRetries: 3,
-            retryDelay: 1000
+            retryDelay: 1000,
+            maxRetryAfter: 60,
+            apiPerPage: 100,
+            maxAggregatePages: 5,
+            // Infinite scroll stops fetching on its own after this many API pages in a row add no matching plugins
+            maxEmptyFetches: 2,
+            cachePrefix: 'wppdfi_cache:',
+            cacheTtl: 3600,
+            proxyPerPage: 48,
+            requestModeKey: 'wppdfi_request_mode',
+            apiBaseUrl: 'https://api.wordpress.org/plugins/info/1.2/',
+            maxFacetChips: 20,
+            // Release branches between the latest WordPress and the default security baseline
+            securityBaselineBranches: 3,
+            // Default algorithm weights, matching WPPDFI_Rating_Calculator and WPPDFI_Health_Calculator
+            usabilityWeights: { user_rating: 40, rating_count: 20, installation_count: 25, support_responsiveness: 15 },
+            healthWeights: { update_frequency: 30, wp_compatibility: 25, support_response: 20, time_since_update: 15, reported_issues: 10 },
+            bestMatchKey: 'wppdfi_best_match_weights',
+            // Default blend for "Best Match" - relative weights, they don't need to add up to 100
+            bestMatchWeights: { relevance: 40, health: 25, usability: 20, installs: 15 },
+            // Bayesian prior for the usability rating - the mean is replaced by the result set's average when possible
+            usabilityPrior: { mean: 3.8, confidence: 100 },
+            // Shortlisted plugins are fetched a few at a time so opening the shortlist doesn't hit the API rate limit
+            shortlistBatchSize: 3,
+            compareKey: 'wppdfi_compare',
+            maxCompare: 4,
+            // Plugin fields kept in the compare tray, so it survives new searches and page loads
+            compareFields: ['slug', 'name', 'author', 'icons', 'active_installs', 'rating', 'num_ratings', 'ratings', 'tested', 'requires',
+                'requires_php', 'last_updated', 'version', 'support_threads', 'support_threads_resolved', 'health_score'],
+            // Shareable links keep the search and filters in the URL fragment, e.g. #wppdfi?s=forms&health_min=70
+            stateFragment: 'wppdfi',
+            // Dual-handle range filters - installs snap to steps, the rest slide between min and max
+            rangeFilters: {
+                installs: { label: 'Installs', steps: [0, 1000, 10000, 50000, 100000, 500000, 1000000, 5000000] },
+                rating: { label: 'Rating', min: 0, max: 5, step: 0.5 },
+                usability: { label: 'Usability', min: 0, max: 100, step: 5 },
+                health: { label: 'Health', min: 0, max: 100, step: 5 }
+            }
         },
         
         // State management
@@ -28,7 +65,32 @@
             isLoading: false,
             retryCount: 0,
             originalPlugins: [],
-            filteredPlugins: []
+            filteredPlugins: [],
+            allPlugins: [],
+            apiPagination: null,
+            currentPage: 1,
+            resultsMode: null,
+            renderedCount: 0,
+            apiPagesLoaded: 0,
+            emptyFetches: 0,
+            isLoadingMore: false,
+            bypassCache: false,
+            requestId: 0,
+            requestController: null,
+            selectedTags: [],
+            authorInclude: [],
+            authorExclude: [],
+            queryControls: { ranges: [], tags: [], authorInclude: [], authorExclude: [] },
+            bestMatchWeights: null,
+            bestMatchScores: {},
+            usabilityPriorMean: null,
+            compare: null,
+            compareReturnFocus: null,
+            shortlist: null,
+            hiddenPlugins: null,
+            showHidden: false,
+            presets: null,
+            restoringHistory: false
         },
         
         // DOM elements cache
@@ -50,10 +112,19 @@
             this.cacheElements();
             this.injectFilterControls();
             this.bindEvents();
+            this.renderCompareTray();
             this.saveOriginalPlugins();
+            this.pruneCache(false);
             this.enhanceNativePluginCards();
             this.monitorForModals();
-            // loadStateFromURL disabled to avoid auto-applying filters on load
+
+            // A shared link is already the current history entry, restoring it must not push another
+            this.state.restoringHistory = true;
+            try {
+                this.loadStateFromURL();
+            } finally {
+                this.state.restoringHistory = false;
+            }
             
             // DO NOT add any body classes on init - only when filters are applied
             // Plugin initialized successfully
@@ -90,18 +161,22 @@
             
             // Re-cache filter control elements (these should still exist)
             this.$elements.filterControls = $('.wp-plugin-filters-controls');
-            this.$elements.installationRange = $('#wp-plugin-filter-installations');
+            this.$elements.rangeControls = $('.wp-plugin-filters-range');
             this.$elements.updateTimeframe = $('#wp-plugin-filter-updates');
-            this.$elements.usabilityRating = $('#wp-plugin-filter-usability');
-            this.$elements.healthScore = $('#wp-plugin-filter-health');
-            this.$elements.rating = $('#wp-plugin-filter-rating');
             this.$elements.sortBy = $('#wp-plugin-filter-sort');
             this.$elements.sortDirection = $('#wp-plugin-filter-direction');
+            this.$elements.sortBy2 = $('#wp-plugin-filter-sort-2');
+            this.$elements.sortDirection2 = $('#wp-plugin-filter-direction-2');
+            this.$elements.sortBy3 = $('#wp-plugin-filter-sort-3');
+            this.$elements.sortDirection3 = $('#wp-plugin-filter-direction-3');
+            this.$elements.thenBy = $('.wp-plugin-filters-then-by');
+            this.$elements.tagMode = $('#wp-plugin-filter-tag-mode');
+            this.$elements.compatibleOnly = $('#wp-plugin-filter-compatible');
             this.$elements.clearFilters = $('#wp-plugin-clear-filters');
             
             console.log('[WP Plugin Filters] Element cache refreshed:', {
                 filterControls: this.$elements.filterControls.length,
-                installationRange: this.$elements.installationRange.length,
+                rangeControls: this.$elements.rangeControls.length,
                 searchInput: this.$elements.searchInput.length,
                 resultsContainer: this.$elements.resultsContainer.length
             });
@@ -190,6 +265,10 @@
             $('.wp-plugin-filters-controls').remove();
             $('.wp-plugin-filters-summary').remove();
             $('.wp-plugin-filters-error').remove();
+            $('.wp-plugin-filters-progress').remove();
+            $('.wp-plugin-filters-cache-notice').remove();
+            this.hideRetryCountdown();
+            this.teardownInfiniteScroll();
             console.log('[WP Plugin Filters] Filter controls removed');
         },
 
@@ -205,6 +284,11 @@
             if (originalCards.length > 0) {
                 this.state.originalContent = originalCards.parent().html();
             }
+
+            // Keep the native pagination so it can be restored after filtering
+            this.state.originalPagination = $('.tablenav-pages').map(function() {
+                return { className: this.className, html: $(this).html() };
+            }).get();
         },
 
         /**
@@ -294,18 +378,22 @@
             
             // Cache the new elements
             this.$elements.filterControls = $('.wp-plugin-filters-controls');
-            this.$elements.installationRange = $('#wp-plugin-filter-installations');
+            this.$elements.rangeControls = $('.wp-plugin-filters-range');
             this.$elements.updateTimeframe = $('#wp-plugin-filter-updates');
-            this.$elements.usabilityRating = $('#wp-plugin-filter-usability');
-            this.$elements.healthScore = $('#wp-plugin-filter-health');
-            this.$elements.rating = $('#wp-plugin-filter-rating');
             this.$elements.sortBy = $('#wp-plugin-filter-sort');
             this.$elements.sortDirection = $('#wp-plugin-filter-direction');
+            this.$elements.sortBy2 = $('#wp-plugin-filter-sort-2');
+            this.$elements.sortDirection2 = $('#wp-plugin-filter-direction-2');
+            this.$elements.sortBy3 = $('#wp-plugin-filter-sort-3');
+            this.$elements.sortDirection3 = $('#wp-plugin-filter-direction-3');
+            this.$elements.thenBy = $('.wp-plugin-filters-then-by');
+            this.$elements.tagMode = $('#wp-plugin-filter-tag-mode');
+            this.$elements.compatibleOnly = $('#wp-plugin-filter-compatible');
             this.$elements.clearFilters = $('#wp-plugin-clear-filters');
             
             console.log('[WP Plugin Filters] Cached filter elements:', {
                 filterControls: this.$elements.filterControls.length,
-                installationRange: this.$elements.installationRange.length,
+                rangeControls: this.$elements.rangeControls.length,
                 sortBy: this.$elements.sortBy.length
             });
         },
@@ -319,14 +407,6 @@
                     <form onsubmit="return false;" style="margin: 0; padding: 0;">
                         <div class="wp-plugin-filters-inline">
                             <div class="wp-plugin-filters-controls-left">
-                                <select id="wp-plugin-filter-installations">
-                                    <option value="all">All Installs</option>
-                                    <option value="1m-plus">1M+</option>
-                                    <option value="100k-1m">100K+</option>
-                                    <option value="10k-100k">10K+</option>
-                                    <option value="1k-10k">1K+</option>
-                                </select>
-                                
                                 <select id="wp-plugin-filter-updates">
                                     <option value="all">Any Update</option>
                                     <option value="last_month">Last Month</option>
@@ -334,40 +414,24 @@
                                     <option value="last_year">Last Year</option>
                                 </select>
                                 
-                                <select id="wp-plugin-filter-usability">
-                                    <option value="0">Any Usability</option>
-                                    <option value="4">4+ stars</option>
-                                    <option value="3">3+ stars</option>
-                                    <option value="2">2+ stars</option>
-                                </select>
-                                
-                                <select id="wp-plugin-filter-health">
-                                    <option value="0">Any Health</option>
-                                    <option value="85">Excellent (85+)</option>
-                                    <option value="70">Good (70+)</option>
-                                    <option value="40">Fair (40+)</option>
-                                </select>
-                                
-                                <select id="wp-plugin-filter-rating">
-                                    <option value="0">Any Rating</option>
-                                    <option value="4">4+ Stars</option>
-                                    <option value="3">3+ Stars</option>
-                                    <option value="2">2+ Stars</option>
-                                    <option value="1">1+ Stars</option>
-                                </select>
+                                <label class="wp-plugin-filters-checkbox" for="wp-plugin-filter-compatible">
+                                    <input type="checkbox" id="wp-plugin-filter-compatible" value="1">
+                                    Compatible with this site
+                                </label>
                                 
                                 <select id="wp-plugin-filter-sort">
                                     <option value="">Sort Order</option>
                                     <option value="relevance">Relevance</option>
-                                    <option value="installations">Installs</option>
-                                    <option value="rating">Rating</option>
-                                    <option value="updated">Updated</option>
-                                    <option value="usability_rating">Usability</option>
-                                    <option value="health_score">Health</option>
+                                    <option value="best_match">Best Match</option>
+                                    ${this.buildSortOptionsHTML()}
                                 </select>
+                                ${this.buildSortDirectionHTML('wp-plugin-filter-direction')}
                                 
                                 <button type="button" id="wp-plugin-apply-filters" class="button button-primary">Apply Filters</button>
                                 <button type="button" id="wp-plugin-clear-filters" class="button">Clear</button>
+                                ${this.buildPresetControlsHTML()}
+                                <button type="button" class="button-link wp-plugin-filters-copy-link">Copy link</button>
+                                ${this.buildShortlistControlsHTML()}
                             </div>
                             <div class="wppd-filters-branding">
                                 <a href="https://wppd-filters.terryarthur.com/index.html" target="_blank" rel="noopener" class="plugin-link">WPPD Filters</a>
@@ -376,11 +440,415 @@
                                 <a href="https://terryarthur.com" target="_blank" rel="noopener" class="author-link">Terry Arthur</a>
                             </div>
                         </div>
+                        <div class="wp-plugin-filters-then-by" hidden>
+                            <label class="wp-plugin-filters-facet-label" for="wp-plugin-filter-sort-2">Then by</label>
+                            <select id="wp-plugin-filter-sort-2">
+                                <option value="">None</option>
+                                ${this.buildSortOptionsHTML()}
+                            </select>
+                            ${this.buildSortDirectionHTML('wp-plugin-filter-direction-2')}
+                            <label class="wp-plugin-filters-facet-label" for="wp-plugin-filter-sort-3">then by</label>
+                            <select id="wp-plugin-filter-sort-3">
+                                <option value="">None</option>
+                                ${this.buildSortOptionsHTML()}
+                            </select>
+                            ${this.buildSortDirectionHTML('wp-plugin-filter-direction-3')}
+                        </div>
+                        ${this.buildBestMatchControlsHTML()}
+                        <div class="wp-plugin-filters-ranges">
+                            ${this.buildRangeControlHTML('installs')}
+                            ${this.buildRangeControlHTML('rating')}
+                            ${this.buildRangeControlHTML('usability')}
+                            ${this.buildRangeControlHTML('health')}
+                        </div>
+                        <div class="wp-plugin-filters-facets" hidden>
+                            <div class="wp-plugin-filters-facet" data-facet="tags">
+                                <span class="wp-plugin-filters-facet-label" id="wp-plugin-filter-tags-label">Tags</span>
+                                <select id="wp-plugin-filter-tag-mode" aria-label="Tag matching">
+                                    <option value="or">Any selected</option>
+                                    <option value="and">All selected</option>
+                                </select>
+                                <div class="wp-plugin-filters-chips" role="group" aria-labelledby="wp-plugin-filter-tags-label"></div>
+                            </div>
+                            <div class="wp-plugin-filters-facet" data-facet="authors">
+                                <span class="wp-plugin-filters-facet-label" id="wp-plugin-filter-authors-label">Authors</span>
+                                <span class="wp-plugin-filters-facet-hint">Click to show only, again to hide</span>
+                                <div class="wp-plugin-filters-chips" role="group" aria-labelledby="wp-plugin-filter-authors-label"></div>
+                            </div>
+                        </div>
+                        <div class="wp-plugin-filters-hidden" hidden>
+                            <span class="wp-plugin-filters-hidden-summary"></span>
+                            <button type="button" class="button-link wp-plugin-hidden-show" aria-pressed="false">show</button>
+                            <button type="button" class="button-link wp-plugin-hidden-manage" aria-expanded="false" aria-controls="wp-plugin-hidden-list">Manage hidden plugins</button>
+                            <div id="wp-plugin-hidden-list" class="wp-plugin-filters-hidden-list" hidden></div>
+                        </div>
                     </form>
                 </div>
             `;
         },
 
+        /**
+         * Build the sort key options shared by every sort level
+         */
+        buildSortOptionsHTML: function() {
+            return `
+                <option value="installations">Installs</option>
+                <option value="rating">Rating</option>
+                <option value="updated">Updated</option>
+                <option value="usability_rating">Usability</option>
+                <option value="health_score">Health</option>
+            `;
+        },
+
+        /**
+         * Build an ascending/descending toggle for a sort level
+         */
+        buildSortDirectionHTML: function(id) {
+            return `
+                <button type="button" id="${id}" class="button wp-plugin-filters-direction" value="desc" aria-label="Sort descending" title="Sort descending">
+                    <span class="dashicons dashicons-arrow-down-alt" aria-hidden="true"></span>
+                </button>
+            `;
+        },
+
+        /**
+         * Set a sort direction toggle to 'asc' or 'desc'
+         */
+        setSortDirection: function($toggle, direction) {
+            var label = direction === 'asc' ? 'Sort ascending' : 'Sort descending';
+
+            $toggle.val(direction).attr({ 'aria-label': label, title: label });
+            $toggle.find('.dashicons')
+                .toggleClass('dashicons-arrow-up-alt', direction === 'asc')
+                .toggleClass('dashicons-arrow-down-alt', direction !== 'asc');
+        },
+
+        /**
+         * Show the secondary sort keys only when the primary sort can have ties, and the blend weights for Best Match
+         */
+        updateSortRows: function() {
+            var sortBy = this.$elements.sortBy && this.$elements.sortBy.length ? this.$elements.sortBy.val() : '';
+            $('.wp-plugin-filters-then-by').prop('hidden', !sortBy || sortBy === 'relevance' || sortBy === 'best_match');
+            $('.wp-plugin-filters-blend').prop('hidden', sortBy !== 'best_match');
+        },
+
+        /**
+         * Build the blend weight inputs for the Best Match sort
+         */
+        buildBestMatchControlsHTML: function() {
+            var weights = this.getBestMatchWeights();
+            var labels = { relevance: 'Relevance', health: 'Health', usability: 'Usability', installs: 'Installs' };
+
+            var inputs = Object.keys(labels).map(function(key) {
+                return `
+                    <label class="wp-plugin-filters-blend-weight">
+                        ${labels[key]}
+                        <input type="number" class="small-text" data-blend="${key}" min="0" max="100" step="5" value="${weights[key]}">
+                    </label>
+                `;
+            }).join('');
+
+            return `
+                <div class="wp-plugin-filters-blend" hidden>
+                    <span class="wp-plugin-filters-facet-label">Best Match blend</span>
+                    ${inputs}
+                    <button type="button" class="button-link wp-plugin-filters-blend-reset">Reset</button>
+                </div>
+            `;
+        },
+
+        /**
+         * Get the Best Match blend weights, as saved in this browser
+         */
+        getBestMatchWeights: function() {
+            if (this.state.bestMatchWeights) {
+                return this.state.bestMatchWeights;
+            }
+
+            var weights = $.extend({}, this.config.bestMatchWeights);
+
+            try {
+                var saved = JSON.parse(window.localStorage.getItem(this.config.bestMatchKey) || '{}');
+                Object.keys(weights).forEach(function(key) {
+                    var value = parseFloat(saved[key]);
+                    if (!isNaN(value) && value >= 0) {
+                        weights[key] = value;
+                    }
+                });
+            } catch (e) {
+                // Storage unavailable or corrupt - use the defaults
+            }
+
+            this.state.bestMatchWeights = weights;
+            return weights;
+        },
+
+        /**
+         * Read the blend weight inputs and remember them in this browser
+         */
+        saveBestMatchWeights: function() {
+            var weights = $.extend({}, this.config.bestMatchWeights);
+
+            $('.wp-plugin-filters-blend input[data-blend]').each(function() {
+                var value = parseFloat($(this).val());
+                weights[$(this).data('blend')] = !isNaN(value) && value >= 0 ? value : 0;
+            });
+
+            this.state.bestMatchWeights = weights;
+
+            try {
+                window.localStorage.setItem(this.config.bestMatchKey, JSON.stringify(weights));
+            } catch (e) {
+                console.warn('[WP Plugin Filters] Could not save Best Match weights:', e);
+            }
+        },
+
+        /**
+         * Restore the default blend weights
+         */
+        resetBestMatchWeights: function() {
+            var defaults = this.config.bestMatchWeights;
+
+            $('.wp-plugin-filters-blend input[data-blend]').each(function() {
+                $(this).val(defaults[$(this).data('blend')]);
+            });
+
+            this.saveBestMatchWeights();
+        },
+
+        /**
+         * Blend a plugin's relevance position with its quality scores into a 0-100 Best Match score
+         */
+        getBestMatchScore: function(plugin, index, total) {
+            var weights = this.getBestMatchWeights();
+            var components = {
+                relevance: total > 1 ? 1 - (index / (total - 1)) : 1,
+                health: this.getPluginRangeValue(plugin, 'health') / 100,
+                usability: this.getPluginRangeValue(plugin, 'usability') / 100,
+                // Installs on a log scale, 10M+ counts as full marks
+                installs: Math.min(1, Math.log10((plugin.active_installs || 0) + 1) / 7)
+            };
+            var weightTotal = 0;
+            var blended = 0;
+
+            Object.keys(components).forEach(function(key) {
+                weightTotal += weights[key];
+                blended += weights[key] * components[key];
+            });
+
+            var score = weightTotal > 0 ? Math.round((blended / weightTotal) * 100) : 0;
+
+            // Remembered so the cards can show it
+            this.state.bestMatchScores[plugin.slug] = score;
+            return score;
+        },
+
+        /**
+         * Reset every sort level to no sort, descending
+         */
+        resetSortControls: function() {
+            $('#wp-plugin-filter-sort, #wp-plugin-filter-sort-2, #wp-plugin-filter-sort-3').val('');
+            $('.wp-plugin-filters-direction').each(function(index, toggle) {
+                this.setSortDirection($(toggle), 'desc');
+            }.bind(this));
+            this.updateSortRows();
+        },
+
+        /**
+         * Build a dual-handle range control for one of the configured range filters
+         */
+        buildRangeControlHTML: function(key) {
+            var range = this.config.rangeFilters[key];
+            var bounds = this.getRangeBounds(key);
+            var label = range.label.toLowerCase();
+
+            return `
+                <div class="wp-plugin-filters-range" data-range="${key}">
+                    <span class="wp-plugin-filters-range-label">${range.label}: <output class="wp-plugin-filters-range-value" for="wp-plugin-filter-${key}-min wp-plugin-filter-${key}-max">Any</output></span>
+                    <div class="wp-plugin-filters-range-track">
+                        <input type="range" id="wp-plugin-filter-${key}-min" class="wp-plugin-filters-range-min" min="${bounds.min}" max="${bounds.max}" step="${bounds.step}" value="${bounds.min}" aria-label="Minimum ${label}">
+                        <input type="range" id="wp-plugin-filter-${key}-max" class="wp-plugin-filters-range-max" min="${bounds.min}" max="${bounds.max}" step="${bounds.step}" value="${bounds.max}" aria-label="Maximum ${label}">
+                    </div>
+                </div>
+            `;
+        },
+
+        /**
+         * Get slider bounds for a range filter (stepped ranges slide over step indexes)
+         */
+        getRangeBounds: function(key) {
+            var range = this.config.rangeFilters[key];
+
+            if (range.steps) {
+                return { min: 0, max: range.steps.length - 1, step: 1 };
+            }
+
+            return { min: range.min, max: range.max, step: range.step };
+        },
+
+        /**
+         * Convert a slider position to a filter value
+         */
+        fromRangePosition: function(key, position) {
+            var range = this.config.rangeFilters[key];
+            return range.steps ? range.steps[position] : position;
+        },
+
+        /**
+         * Convert a filter value to the nearest slider position at or below it (at or above with roundUp)
+         */
+        toRangePosition: function(key, value, roundUp) {
+            var range = this.config.rangeFilters[key];
+            var bounds = this.getRangeBounds(key);
+
+            if (range.steps) {
+                var position = roundUp ? range.steps.length - 1 : 0;
+                for (var i = 0; i < range.steps.length; i++) {
+                    if (!roundUp && range.steps[i] <= value) {
+                        position = i;
+                    } else if (roundUp && range.steps[i] >= value) {
+                        return i;
+                    }
+                }
+                return position;
+            }
+
+            var snapped = (roundUp ? Math.ceil(value / bounds.step) : Math.floor(value / bounds.step)) * bounds.step;
+            return Math.min(bounds.max, Math.max(bounds.min, snapped));
+        },
+
+        /**
+         * Read a range control - a handle resting at its end of the track leaves that side open (null)
+         */
+        getRangeValues: function(key) {
+            var $range = $('.wp-plugin-filters-range[data-range="' + key + '"]');
+
+            if (!$range.length) {
+                return { min: null, max: null };
+            }
+
+            var bounds = this.getRangeBounds(key);
+            var low = parseFloat($range.find('.wp-plugin-filters-range-min').val());
+            var high = parseFloat($range.find('.wp-plugin-filters-range-max').val());
+
+            return {
+                min: low > bounds.min ? this.fromRangePosition(key, low) : null,
+                max: high < bounds.max ? this.fromRangePosition(key, high) : null
+            };
+        },
+
+        /**
+         * Move a range control's handles, null opens that side of the range
+         */
+        setRangeValues: function(key, min, max) {
+            var $range = $('.wp-plugin-filters-range[data-range="' + key + '"]');
+            var bounds = this.getRangeBounds(key);
+
+            $range.find('.wp-plugin-filters-range-min').val(typeof min === 'number' ? this.toRangePosition(key, min) : bounds.min);
+            $range.find('.wp-plugin-filters-range-max').val(typeof max === 'number' ? this.toRangePosition(key, max, true) : bounds.max);
+            this.updateRangeControl(key);
+        },
+
+        /**
+         * Reset every range control to its full span
+         */
+        resetRangeControls: function() {
+            Object.keys(this.config.rangeFilters).forEach(function(key) {
+                this.setRangeValues(key, null, null);
+            }, this);
+        },
+
+        /**
+         * Keep the handles from crossing when one is dragged past the other
+         */
+        handleRangeInput: function($input) {
+            var $range = $input.closest('.wp-plugin-filters-range');
+            var $min = $range.find('.wp-plugin-filters-range-min');
+            var $max = $range.find('.wp-plugin-filters-range-max');
+            var low = parseFloat($min.val());
+            var high = parseFloat($max.val());
+
+            if (low > high) {
+                if ($input.is($min)) {
+                    $max.val(low);
+                } else {
+                    $min.val(high);
+                }
+            }
+
+            this.updateRangeControl($range.data('range'));
+        },
+
+        /**
+         * Update a range control's value label
+         */
+        updateRangeControl: function(key) {
+            var $range = $('.wp-plugin-filters-range[data-range="' + key + '"]');
+            var $min = $range.find('.wp-plugin-filters-range-min');
+            var values = this.getRangeValues(key);
+            var text = 'Any';
+
+            if (values.min !== null && values.max !== null) {
+                text = this.formatRangeValue(key, values.min) + '–' + this.formatRangeValue(key, values.max);
+            } else if (values.min !== null) {
+                text = this.formatRangeValue(key, values.min) + '+';
+            } else if (values.max !== null) {
+                text = 'Up to ' + this.formatRangeValue(key, values.max);
+            }
+
+            $range.find('.wp-plugin-filters-range-value').text(text);
+
+            // Once the lower handle reaches the top it sits over the upper one and must stay grabbable
+            $min.toggleClass('is-on-top', parseFloat($min.val()) >= this.getRangeBounds(key).max);
+        },
+
+        /**
+         * Format a range filter value for its label
+         */
+        formatRangeValue: function(key, value) {
+            if (key === 'installs') {
+                if (value >= 1000000) {
+                    return (value / 1000000) + 'M';
+                }
+                return value >= 1000 ? (value / 1000) + 'K' : String(value);
+            }
+
+            return key === 'rating' ? value + '★' : String(value);
+        },
+
+        /**
+         * Get the value a range filter compares for a plugin
+         */
+        getPluginRangeValue: function(plugin, key) {
+            switch (key) {
+                case 'installs':
+                    return plugin.active_installs || 0;
+                case 'rating':
+                    return (plugin.rating || 0) / 20; // Convert 0-100 to 0-5
+                case 'usability':
+                    return this.calculateUsability(plugin).score;
+                case 'health':
+                    return plugin.health_score || this.calculateHealthProxy(plugin);
+                default:
+                    return 0;
+            }
+        },
+
+        /**
+         * Collect the *_min / *_max bounds of every range filter
+         */
+        getRangeFilterData: function() {
+            var data = {};
+
+            Object.keys(this.config.rangeFilters).forEach(function(key) {
+                var values = this.getRangeValues(key);
+                data[key + '_min'] = values.min;
+                data[key + '_max'] = values.max;
+            }, this);
+
+            return data;
+        },
+
         /**
          * Bind event handlers
          */
@@ -396,6 +864,57 @@
                 return false;
             });
             
+            // Refresh cached results
+            $(document).on('click', '.wp-plugin-filters-refresh', function(e) {
+                e.preventDefault();
+                self.refreshResults();
+            });
+            
+            // Facet chips toggle their value and re-apply the filters
+            $(document).on('click', '.wp-plugin-filters-chip', function(e) {
+                e.preventDefault();
+                self.toggleFacetChip($(this));
+            });
+            
+            // Infinite scroll pauses after fetches with no matches, this fetches the next page on request
+            $(document).on('click', '.wp-plugin-filters-load-more', function(e) {
+                e.preventDefault();
+                self.loadMoreResults(true);
+            });
+            
+            // Sort direction toggles flip between descending and ascending
+            $(document).on('click', '.wp-plugin-filters-direction', function(e) {
+                e.preventDefault();
+                self.setSortDirection($(this), $(this).val() === 'asc' ? 'desc' : 'asc');
+            });
+            
+            // Secondary sort keys only make sense under a primary sort
+            $(document).on('change', '#wp-plugin-filter-sort', function() {
+                self.updateSortRows();
+            });
+            
+            // Best Match weights are a preference, kept across searches
+            $(document).on('change', '.wp-plugin-filters-blend input[data-blend]', function() {
+                self.saveBestMatchWeights();
+            });
+            
+            $(document).on('click', '.wp-plugin-filters-blend-reset', function(e) {
+                e.preventDefault();
+                self.resetBestMatchWeights();
+            });
+            
+            // Range handles only update their labels, filters still apply on click
+            $(document).on('input', '.wp-plugin-filters-range input[type="range"]', function() {
+                self.handleRangeInput($(this));
+            });
+            
+            // Switching between AND/OR only matters once several tags are selected
+            $(document).on('change', '#wp-plugin-filter-tag-mode', function() {
+                if (self.state.selectedTags.length > 1) {
+                    self.applyFilters();
+                }
+            });
+            
             // Clear filters button
             $(document).on('click', '#wp-plugin-clear-filters', function(e) {
                 e.preventDefault();
@@ -414,6 +933,12 @@
                 // Clear all custom filters first to ensure clean search
                 self.clearFilterFormValues();
                 
+                // Query syntax needs the filtered layout - its tokens set the filters again
+                if (self.hasQuerySyntax(self.parseSearchQuery(searchTerm))) {
+                    self.applyFilters();
+                    return false;
+                }
+                
                 // Perform clean search with just the search term
                 self.performCleanSearch(searchTerm);
                 
@@ -444,71 +969,273 @@
                 }
             });
             
-            // Pagination clicks
-            $(document).on('click', '.tablenav-pages a', function(e) {
+            // Pagination clicks - only our filtered pagination links, native links keep working
+            $(document).on('click', '.tablenav-pages a[data-wppdfi-page]', function(e) {
                 e.preventDefault();
                 self.handlePaginationClick($(this));
             });
-            
-            // Plugin card interactions - disabled to avoid modifying native cards
-            // Cards will only be enhanced when filters are applied
-        },
-
-        /**
-         * Handle filter changes - no longer auto-apply
-         */
-        handleFilterChange: function() {
-            // Filters are now only applied when Apply Filters button is clicked
-            // This prevents breaking the native search functionality
-        },
-
-        /**
-         * Handle search input changes
-         */
-        handleSearchChange: function() {
-            var self = this;
-            
-            clearTimeout(this.debounceTimers.search);
-            this.debounceTimers.search = setTimeout(function() {
-                self.applyFilters();
-            }, this.config.debounceDelay);
-        },
 
-        /**
-         * Apply current filters - Direct API call like working Chrome extension
-         */
-        applyFilters: function() {
-            if (this.state.isLoading) {
-                return;
-            }
+            // Jump to page typed into the filtered pagination input
+            $(document).on('keydown', '.tablenav-pages .wppdfi-current-page', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    self.goToPage(parseInt($(this).val(), 10) || 1);
+                }
+            });
             
-            // Ensure elements are fresh before applying filters
-            this.refreshElementCache();
+            // Score badges open a breakdown of how the score was calculated
+            $(document).on('click', '.wp-plugin-score-trigger', function(e) {
+                e.preventDefault();
+                self.toggleScoreBreakdown($(this));
+            });
             
-            // Defensive check - if filter controls are missing, re-inject them
-            if (this.$elements.filterControls.length === 0) {
-                console.warn('[WP Plugin Filters] Filter controls missing, re-injecting...');
-                this.injectFilterControls();
-            }
+            $(document).on('keydown', '.wp-plugin-score-trigger', function(e) {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    self.toggleScoreBreakdown($(this));
+                }
+            });
             
-            var filterData = this.getCurrentFilterData();
+            // Escape or a click elsewhere closes the breakdown
+            $(document).on('keydown', function(e) {
+                if (e.key === 'Escape' && $('.wp-plugin-score-popover').length) {
+                    self.closeScoreBreakdown(true);
+                }
+            });
             
-            // Check if there's a search term before applying filters
-            if (!filterData.search_term || filterData.search_term.trim() === '') {
-                this.showSearchRequiredMessage();
-                return;
-            }
+            $(document).on('click', function(e) {
+                if (!$(e.target).closest('.wp-plugin-score-popover, .wp-plugin-score-trigger').length) {
+                    self.closeScoreBreakdown(false);
+                }
+            });
             
-            this.state.currentFilters = filterData;
+            // Star toggles add plugins to the user's shortlist
+            $(document).on('click', '.wp-plugin-shortlist-toggle', function(e) {
+                e.preventDefault();
+                self.toggleShortlist(String($(this).data('slug')));
+            });
+            
+            $(document).on('click', '#wp-plugin-shortlist-view', function(e) {
+                e.preventDefault();
+                self.showShortlist();
+            });
+            
+            $(document).on('click', '.wp-plugin-shortlist-export', function(e) {
+                e.preventDefault();
+                self.exportShortlist();
+            });
+            
+            $(document).on('click', '.wp-plugin-shortlist-import', function(e) {
+                e.preventDefault();
+                $('.wp-plugin-shortlist-file').val('').trigger('click');
+            });
+            
+            $(document).on('change', '.wp-plugin-shortlist-file', function() {
+                if (this.files && this.files[0]) {
+                    self.importShortlist(this.files[0]);
+                }
+            });
+            
+            // Hide takes a plugin out of every result set, Unhide brings it back
+            $(document).on('click', '.wp-plugin-hide-toggle', function(e) {
+                e.preventDefault();
+                self.setPluginHidden(String($(this).data('slug')), !self.isHiddenPlugin(String($(this).data('slug'))));
+            });
+            
+            $(document).on('click', '.wp-plugin-hidden-show', function(e) {
+                e.preventDefault();
+                self.state.showHidden = !self.state.showHidden;
+                self.rerenderResults();
+            });
+            
+            $(document).on('click', '.wp-plugin-hidden-manage', function(e) {
+                e.preventDefault();
+                var expanded = $(this).attr('aria-expanded') !== 'true';
+                $(this).attr('aria-expanded', String(expanded));
+                $('#wp-plugin-hidden-list').prop('hidden', !expanded);
+                self.renderHiddenList();
+            });
+            
+            $(document).on('click', '.wp-plugin-hidden-clear', function(e) {
+                e.preventDefault();
+                self.clearHiddenPlugins();
+            });
+            
+            // Copy a link that opens this search with the same filters
+            $(document).on('click', '.wp-plugin-filters-copy-link', function(e) {
+                e.preventDefault();
+                self.copyStateLink();
+            });
+            
+            // Back and Forward step through the applied searches, as does a pasted link that only changes the fragment
+            $(window).on('popstate', function() {
+                self.restoreHistoryState();
+            });
+            
+            // Picking a preset sets the filter bar to its saved values
+            $(document).on('change', '#wp-plugin-filter-preset', function() {
+                self.applyPreset($(this).val() || '');
+            });
+            
+            $(document).on('click', '.wp-plugin-preset-save', function(e) {
+                e.preventDefault();
+                self.togglePresetForm($(this).attr('aria-expanded') !== 'true');
+            });
+            
+            $(document).on('click', '.wp-plugin-preset-cancel', function(e) {
+                e.preventDefault();
+                self.togglePresetForm(false);
+            });
+            
+            $(document).on('click', '.wp-plugin-preset-confirm', function(e) {
+                e.preventDefault();
+                self.savePreset();
+            });
+            
+            $(document).on('keydown', '.wp-plugin-preset-name', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    self.savePreset();
+                } else if (e.key === 'Escape') {
+                    self.togglePresetForm(false);
+                }
+            });
+            
+            $(document).on('click', '.wp-plugin-preset-delete', function(e) {
+                e.preventDefault();
+                self.deletePreset($('#wp-plugin-filter-preset').val() || '');
+            });
+            
+            // Compare checkboxes collect plugins in the tray at the bottom of the screen
+            $(document).on('change', '.wp-plugin-compare-checkbox', function() {
+                self.toggleCompare(String($(this).data('slug')), this.checked);
+            });
+            
+            $(document).on('click', '.wp-plugin-compare-remove', function(e) {
+                e.preventDefault();
+                self.toggleCompare(String($(this).data('slug')), false);
+            });
+            
+            $(document).on('click', '.wp-plugin-compare-clear', function(e) {
+                e.preventDefault();
+                self.clearCompare();
+            });
+            
+            $(document).on('click', '.wp-plugin-compare-open', function(e) {
+                e.preventDefault();
+                self.openComparison();
+            });
+            
+            $(document).on('click', '.wp-plugin-compare-close', function(e) {
+                e.preventDefault();
+                self.closeComparison();
+            });
+            
+            $(document).on('click', '.wp-plugin-compare-overlay', function(e) {
+                if (e.target === this) {
+                    self.closeComparison();
+                }
+            });
+            
+            $(document).on('keydown', function(e) {
+                if (e.key === 'Escape' && $('.wp-plugin-compare-overlay').length) {
+                    self.closeComparison();
+                }
+            });
+            
+            // Plugin card interactions - disabled to avoid modifying native cards
+            // Cards will only be enhanced when filters are applied
+        },
+
+        /**
+         * Handle filter changes - no longer auto-apply
+         */
+        handleFilterChange: function() {
+            // Filters are now only applied when Apply Filters button is clicked
+            // This prevents breaking the native search functionality
+        },
+
+        /**
+         * Handle search input changes
+         */
+        handleSearchChange: function() {
+            var self = this;
+            
+            clearTimeout(this.debounceTimers.search);
+            this.debounceTimers.search = setTimeout(function() {
+                self.applyFilters();
+            }, this.config.debounceDelay);
+        },
+
+        /**
+         * Apply current filters - Direct API call like working Chrome extension
+         */
+        applyFilters: function() {
+            // Ensure elements are fresh before applying filters
+            this.refreshElementCache();
+            
+            // Defensive check - if filter controls are missing, re-inject them
+            if (this.$elements.filterControls.length === 0) {
+                console.warn('[WP Plugin Filters] Filter controls missing, re-injecting...');
+                this.injectFilterControls();
+            }
+            
+            // Structured tokens in the search box drive the controls, the API only sees the free text
+            var query = this.parseSearchQuery(this.$elements.searchInput.length ? this.$elements.searchInput.val() || '' : '');
+            this.syncQueryControls(query);
+            this.showQueryHelp(query.errors);
+            
+            var filterData = $.extend(this.getCurrentFilterData(), {
+                search_term: query.text,
+                query_conditions: query.conditions,
+                phrases: query.phrases,
+                exclude_terms: query.excludeTerms
+            });
+            
+            // The shortlist is already loaded, its filters and sort order apply client-side
+            if ((!filterData.search_term || filterData.search_term.trim() === '') && this.state.resultsMode === 'filtered' && this.state.currentFilters.shortlist) {
+                this.state.currentFilters = $.extend(filterData, { shortlist: true });
+                this.renderFilteredResults(false);
+                return;
+            }
+            
+            // Check if there's a search term before applying filters - query tokens alone only narrow a search
+            if (!filterData.search_term || filterData.search_term.trim() === '') {
+                this.showSearchRequiredMessage(query.conditions.length > 0 || query.tags.length > 0 || query.authorInclude.length > 0 || query.authorExclude.length > 0 || query.excludeTerms.length > 0);
+                return;
+            }
+            
+            this.updateURL();
+
+            // Only the sort order changed - re-sort the loaded results and stay on the current page
+            if (this.state.resultsMode === 'filtered' && !this.state.bypassCache && this.isSortOnlyChange(this.state.currentFilters, filterData)) {
+                console.log('[WP Plugin Filters] Sort changed, re-sorting loaded results');
+                this.state.currentFilters = filterData;
+                this.renderFilteredResults(true);
+                return;
+            }
+            
+            this.state.currentFilters = filterData;
+            this.state.resultsMode = null;
             
             // Check if this is a pure search (no filters applied) or filtered search
             var hasActiveFilters = this.hasActiveFilters(filterData);
             
+            // Supersede any search still in flight - only the latest one may render
+            var request = this.beginRequest();
+
             this.showLoadingState();
             
-            // Use working extension approach - direct API call
-            this.fetchPluginDataFromAPI(filterData.search_term)
+            // Filtered searches walk several result pages so the filters see more than the first 100 hits
+            var fetchRequest = (hasActiveFilters && this.isAggregationEnabled())
+                ? this.fetchAllPluginPages(filterData.search_term, request.signal)
+                : this.fetchPluginData(filterData.search_term, 1, request.signal);
+
+            fetchRequest
                 .then(function(response) {
+                    if (!this.isCurrentRequest(request)) {
+                        return;
+                    }
                     if (hasActiveFilters) {
                         // Apply custom filtered layout
                         this.handleDirectAPISuccess(response);
@@ -517,42 +1244,305 @@
                         this.handleDirectAPISuccessClean(response);
                     }
                 }.bind(this))
-                .catch(this.handleDirectAPIError.bind(this));
+                .catch(function(error) {
+                    if (this.isCurrentRequest(request) && !this.isAbortError(error)) {
+                        this.handleDirectAPIError(error);
+                    }
+                }.bind(this));
         },
 
         /**
-         * Fetch plugin data from WordPress.org API directly (like Chrome extension)
+         * Start a new search request, aborting the one in flight
+         */
+        beginRequest: function() {
+            this.abortActiveRequest();
+
+            this.state.requestId++;
+            this.state.requestController = typeof window.AbortController !== 'undefined' ? new AbortController() : null;
+
+            return {
+                id: this.state.requestId,
+                signal: this.state.requestController ? this.state.requestController.signal : null
+            };
+        },
+
+        /**
+         * Abort the search request in flight, if any
+         */
+        abortActiveRequest: function() {
+            if (this.state.requestController) {
+                this.state.requestController.abort();
+                this.state.requestController = null;
+            }
+            // Bump the id so responses that can't be aborted are ignored too
+            this.state.requestId++;
+        },
+
+        /**
+         * Whether a request is still the most recent one
+         */
+        isCurrentRequest: function(request) {
+            return request.id === this.state.requestId;
+        },
+
+        /**
+         * Whether an error comes from an aborted request
+         */
+        isAbortError: function(error) {
+            return !!error && error.name === 'AbortError';
+        },
+
+        /**
+         * Build the error used to reject aborted requests
+         */
+        createAbortError: function() {
+            var error = new Error('Request aborted');
+            error.name = 'AbortError';
+            return error;
+        },
+
+        /**
+         * Fetch a page of plugin data using the configured request mode, falling back to the other mode on failure
          */
-        fetchPluginDataFromAPI: function(searchTerm) {
+        fetchPluginData: function(searchTerm, page, signal) {
             var self = this;
             searchTerm = searchTerm || '';
-            
-            console.log('[WP Plugin Filters] fetchPluginDataFromAPI called with search term:', searchTerm);
-            
-            var apiUrl = 'https://api.wordpress.org/plugins/info/1.2/?action=query_plugins' +
+            page = page || 1;
+
+            // Fixture data is local, so skip the cache and the mode fallback
+            if (this.isFixtureMode()) {
+                return this.fetchPluginDataFromFixture(searchTerm, page);
+            }
+
+            var mode = this.getRequestMode();
+            var cacheKey = this.getCacheKey(searchTerm, page);
+            var cached = this.state.bypassCache ? null : this.getCachedResponse(cacheKey);
+            if (cached) {
+                console.log('[WP Plugin Filters] Using cached response for:', cacheKey);
+                return Promise.resolve(cached);
+            }
+
+            return this.fetchWithMode(mode, searchTerm, page, signal)
+                .catch(function(error) {
+                    // Rate limits apply to both paths, switching would not help
+                    if (error.status === 429 || self.isAbortError(error)) {
+                        throw error;
+                    }
+
+                    // The modes use different page sizes, so a later page only lines up with pages fetched in the same mode
+                    if (page > 1) {
+                        throw error;
+                    }
+
+                    var fallbackMode = mode === 'proxied' ? 'direct' : 'proxied';
+                    console.warn('[WP Plugin Filters] ' + mode + ' request failed, falling back to ' + fallbackMode + ' mode:', error);
+
+                    return self.fetchWithMode(fallbackMode, searchTerm, page, signal).then(function(result) {
+                        // Keep using the mode that works for the rest of the session
+                        self.rememberRequestMode(fallbackMode);
+                        return result;
+                    });
+                })
+                .then(function(result) {
+                    self.setCachedResponse(self.getCacheKey(searchTerm, page), result);
+                    return result;
+                });
+        },
+
+        /**
+         * Get the directory API base URL (a configured mirror or WordPress.org)
+         */
+        getApiBaseUrl: function() {
+            var settings = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.settings) ? wpPluginFilters.settings : {};
+            var baseUrl = settings.apiBaseUrl || this.config.apiBaseUrl;
+            return baseUrl.replace(/\/?$/, '/');
+        },
+
+        /**
+         * Whether results are served from the bundled fixture file
+         */
+        isFixtureMode: function() {
+            var settings = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.settings) ? wpPluginFilters.settings : {};
+            return !!settings.fixtureMode && !!settings.fixtureUrl;
+        },
+
+        /**
+         * Serve a page of canned query_plugins results, searching and paging them like the directory does
+         */
+        fetchPluginDataFromFixture: function(searchTerm, page) {
+            var self = this;
+            var perPage = this.config.apiPerPage;
+            var term = (searchTerm || '').trim().toLowerCase();
+
+            // Load the fixture once per page view
+            if (!this.fixtureRequest) {
+                this.fixtureRequest = fetch(wpPluginFilters.settings.fixtureUrl, { headers: { 'Accept': 'application/json' } })
+                    .then(function(response) {
+                        if (!response.ok) {
+                            throw new Error('Could not load API fixture (HTTP ' + response.status + ')');
+                        }
+                        return response.json();
+                    })
+                    .catch(function(error) {
+                        self.fixtureRequest = null;
+                        throw error;
+                    });
+            }
+
+            console.log('[WP Plugin Filters] Fixture mode, search term:', searchTerm, 'page:', page);
+
+            return this.fixtureRequest.then(function(data) {
+                var defaultIcon = wpPluginFilters.pluginUrl + 'assets/images/plugin-icon-default.svg';
+                var matches = (data.plugins || []).filter(function(plugin) {
+                    if (!term) {
+                        return true;
+                    }
+                    var haystack = [plugin.name, plugin.slug, plugin.short_description].concat(Object.keys(plugin.tags || {})).join(' ').toLowerCase();
+                    return haystack.indexOf(term) !== -1;
+                });
+
+                return {
+                    plugins: matches.slice((page - 1) * perPage, page * perPage).map(function(plugin) {
+                        // Fixture plugins have no remote icons, use the bundled placeholder
+                        return $.extend({}, plugin, {
+                            icons: plugin.icons && Object.keys(plugin.icons).length ? plugin.icons : { default: defaultIcon }
+                        });
+                    }),
+                    pagination: {
+                        page: page,
+                        pages: Math.max(1, Math.ceil(matches.length / perPage)),
+                        total_results: matches.length
+                    }
+                };
+            });
+        },
+
+        /**
+         * Fetch a page of plugin data with a specific request mode
+         */
+        fetchWithMode: function(mode, searchTerm, page, signal) {
+            return mode === 'proxied'
+                ? this.fetchPluginDataViaProxy(searchTerm, page, signal)
+                : this.fetchPluginDataFromAPI(searchTerm, page, signal);
+        },
+
+        /**
+         * Get the active request mode - the session fallback wins over the configured mode
+         */
+        getRequestMode: function() {
+            var settings = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.settings) ? wpPluginFilters.settings : {};
+            var remembered = null;
+
+            try {
+                remembered = window.sessionStorage.getItem(this.config.requestModeKey);
+            } catch (e) {
+                remembered = null;
+            }
+
+            return remembered || settings.requestMode || 'direct';
+        },
+
+        /**
+         * Remember the request mode that worked for the rest of the browser session
+         */
+        rememberRequestMode: function(mode) {
+            try {
+                window.sessionStorage.setItem(this.config.requestModeKey, mode);
+            } catch (e) {
+                console.warn('[WP Plugin Filters] Could not remember request mode:', e);
+            }
+        },
+
+        /**
+         * Number of plugins requested per API page in the active request mode
+         */
+        getApiPerPage: function() {
+            return this.getRequestMode() === 'proxied' ? this.config.proxyPerPage : this.config.apiPerPage;
+        },
+
+        /**
+         * Fetch plugin data through the plugin's own wppdfi_filter AJAX endpoint
+         */
+        fetchPluginDataViaProxy: function(searchTerm, page, signal) {
+            console.log('[WP Plugin Filters] Fetching via proxy, search term:', searchTerm, 'page:', page);
+
+            // Filtering and sorting stay client-side, the server only relays the search
+            return this.executeAjaxRequest('wppdfi_filter', {
+                search_term: searchTerm,
+                page: page,
+                per_page: this.config.proxyPerPage
+            }, { signal: signal }).then(this.normalizeProxyResponse.bind(this));
+        },
+
+        /**
+         * Convert a wppdfi_filter response into the shape returned by the direct API path
+         */
+        normalizeProxyResponse: function(response) {
+            if (!response || !response.success || !response.data || !Array.isArray(response.data.plugins)) {
+                throw new Error((response && response.data && response.data.message) || 'Invalid proxy response structure');
+            }
+
+            var pagination = response.data.pagination || {};
+
+            return {
+                plugins: response.data.plugins.map(function(plugin) {
+                    var normalized = $.extend({}, plugin, {
+                        // The server stores ratings on a 0-5 scale, the directory API uses 0-100
+                        rating: Math.round((parseFloat(plugin.rating) || 0) * 20)
+                    });
+
+                    // Scores are always calculated client-side so both modes rank the same way
+                    delete normalized.usability_rating;
+                    delete normalized.health_score;
+                    delete normalized.health_color;
+
+                    return normalized;
+                }),
+                pagination: {
+                    page: pagination.current_page || 1,
+                    pages: pagination.total_pages || 1,
+                    total_results: pagination.total_results || response.data.plugins.length
+                }
+            };
+        },
+
+        /**
+         * Fetch plugin data from WordPress.org API directly (like Chrome extension)
+         */
+        fetchPluginDataFromAPI: function(searchTerm, page, signal) {
+            searchTerm = searchTerm || '';
+            page = page || 1;
+
+            console.log('[WP Plugin Filters] fetchPluginDataFromAPI called with search term:', searchTerm, 'page:', page);
+
+            var apiUrl = this.getApiBaseUrl() + '?action=query_plugins' +
                 '&request[search]=' + encodeURIComponent(searchTerm) +
-                '&request[per_page]=100' +
-                '&request[page]=1' +
+                '&request[per_page]=' + this.config.apiPerPage +
+                '&request[page]=' + page +
                 '&request[fields][short_description]=true' +
                 '&request[fields][rating]=true' +
                 '&request[fields][ratings]=true' +
                 '&request[fields][active_installs]=true' +
                 '&request[fields][last_updated]=true' +
                 '&request[fields][icons]=true' +
-                '&request[fields][num_ratings]=true';
+                '&request[fields][tags]=true' +
+                '&request[fields][tested]=true' +
+                '&request[fields][requires]=true' +
+                '&request[fields][requires_php]=true' +
+                '&request[fields][num_ratings]=true' +
+                '&request[fields][support_threads]=true' +
+                '&request[fields][support_threads_resolved]=true';
             
             console.log('[WP Plugin Filters] Calling WordPress.org API directly:', apiUrl);
             
-            return fetch(apiUrl, {
+            return this.fetchWithRetry(apiUrl, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json'
-                }
+                },
+                signal: signal || undefined
             })
             .then(function(response) {
-                if (!response.ok) {
-                    throw new Error('HTTP ' + response.status + ': ' + response.statusText);
-                }
                 return response.json();
             })
             .then(function(data) {
@@ -573,711 +1563,3488 @@
         },
 
         /**
-         * Check if any filters are actively applied (not just search)
+         * Fetch a URL, retrying network failures, 429 and 5xx responses with exponential backoff
          */
-        hasActiveFilters: function(filterData) {
-            // Check if any non-search filters are applied
-            return (filterData.installation_range && filterData.installation_range !== 'all') ||
-                   (filterData.update_timeframe && filterData.update_timeframe !== 'all') ||
-                   (filterData.usability_rating && parseFloat(filterData.usability_rating) > 0) ||
-                   (filterData.health_score && parseInt(filterData.health_score) > 0) ||
-                   (filterData.rating && parseFloat(filterData.rating) > 0) ||
-                   (filterData.sort_by && filterData.sort_by !== '');
-        },
+        fetchWithRetry: function(url, options, attempt) {
+            var self = this;
+            attempt = attempt || 0;
 
-        /**
-         * Handle successful direct API response with clean native layout
-         */
-        handleDirectAPISuccessClean: function(response) {
-            console.log('[WP Plugin Filters] Direct API Success (Clean Layout):', response);
-            this.hideLoadingState();
-            this.state.retryCount = 0;
-            
-            if (response && response.plugins) {
-                // For clean layout, don't apply client-side filters (only search was used)
-                var processedResponse = {
-                    plugins: response.plugins,
-                    pagination: response.pagination
-                };
-                
-                console.log('[WP Plugin Filters] Updating grid with clean native layout:', processedResponse);
-                // Remove filter classes to ensure native WordPress layout
-                $('body').removeClass('wp-filter-active wp-filter-results-active');
-                this.updatePluginGridClean(processedResponse);
-                this.updatePagination(processedResponse.pagination);
-            } else {
-                console.error('[WP Plugin Filters] Invalid clean API response structure:', response);
-                this.showError('Invalid API response structure');
-            }
+            var retry = function(delay, error) {
+                return self.waitForRetry(delay, error, options.signal).then(function() {
+                    return self.fetchWithRetry(url, options, attempt + 1);
+                });
+            };
+
+            return fetch(url, options).then(function(response) {
+                if (response.ok) {
+                    return response;
+                }
+
+                var httpError = new Error('HTTP ' + response.status + ': ' + response.statusText);
+                httpError.status = response.status;
+
+                if ((response.status !== 429 && response.status < 500) || attempt >= self.config.maxRetries) {
+                    throw httpError;
+                }
+
+                var delay = self.getRetryDelay(attempt, response);
+                if (delay === null) {
+                    // The server asked us to wait longer than we are willing to
+                    throw httpError;
+                }
+
+                console.warn('[WP Plugin Filters] HTTP ' + response.status + ', retrying in', delay, 'ms');
+                return retry(delay, httpError);
+            }, function(error) {
+                if (self.isAbortError(error) || attempt >= self.config.maxRetries) {
+                    throw error;
+                }
+
+                console.warn('[WP Plugin Filters] Network error, retrying:', error);
+                return retry(self.getBackoffDelay(attempt), error);
+            });
         },
 
         /**
-         * Handle successful direct API response with filtered layout
+         * Get the delay before the next attempt, honoring Retry-After on 429/503 responses
          */
-        handleDirectAPISuccess: function(response) {
-            console.log('[WP Plugin Filters] Direct API Success (Filtered Layout):', response);
-            this.hideLoadingState();
-            this.state.retryCount = 0;
-            
-            if (response && response.plugins) {
-                // Apply client-side filters
-                var filteredPlugins = this.applyClientSideFilters(response.plugins, this.state.currentFilters);
-                
-                var processedResponse = {
-                    plugins: filteredPlugins,
-                    pagination: response.pagination
-                };
-                
-                console.log('[WP Plugin Filters] Updating grid with filtered layout:', processedResponse);
-                this.updatePluginGrid(processedResponse);
-                this.updatePagination(processedResponse.pagination);
-            } else {
-                console.error('[WP Plugin Filters] Invalid filtered API response structure:', response);
-                this.showError('Invalid API response structure');
+        getRetryDelay: function(attempt, response) {
+            var retryAfter = (response.status === 429 || response.status === 503) ? response.headers.get('Retry-After') : null;
+
+            if (!retryAfter) {
+                return this.getBackoffDelay(attempt);
+            }
+
+            // Retry-After is either a number of seconds or an HTTP date
+            var delay = /^\d+$/.test(retryAfter.trim())
+                ? parseInt(retryAfter, 10) * 1000
+                : Date.parse(retryAfter) - Date.now();
+
+            if (isNaN(delay)) {
+                return this.getBackoffDelay(attempt);
             }
+
+            return delay > this.config.maxRetryAfter * 1000 ? null : Math.max(0, delay);
         },
 
         /**
-         * Handle direct API errors
+         * Exponential backoff with jitter so parallel clients don't retry in lockstep
          */
-        handleDirectAPIError: function(error) {
-            console.error('[WP Plugin Filters] Direct API Error:', error);
-            this.hideLoadingState();
-            this.showError('Failed to fetch plugins: ' + error.message);
+        getBackoffDelay: function(attempt) {
+            var base = this.config.retryDelay * Math.pow(2, attempt);
+            return Math.round(base / 2 + Math.random() * base / 2);
         },
 
         /**
-         * Apply filters client-side (like Chrome extension)
+         * Wait before retrying, showing a countdown until the next attempt
          */
-        applyClientSideFilters: function(plugins, filterData) {
+        waitForRetry: function(delay, error, signal) {
             var self = this;
-            
-            var filtered = plugins.filter(function(plugin) {
-                // Installation range filter
-                if (filterData.installation_range && filterData.installation_range !== 'all') {
-                    var installs = plugin.active_installs || 0;
-                    var rangeMap = {
-                        '1m-plus': 1000000,
-                        '100k-1m': 100000,
-                        '10k-100k': 10000,
-                        '1k-10k': 1000
-                    };
-                    var minInstalls = rangeMap[filterData.installation_range];
-                    if (minInstalls && installs < minInstalls) {
-                        return false;
+
+            return new Promise(function(resolve, reject) {
+                var remaining = Math.ceil(delay / 1000);
+                var interval = null;
+                var timer = null;
+
+                var cleanup = function() {
+                    clearTimeout(timer);
+                    clearInterval(interval);
+                    self.hideRetryCountdown();
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
                     }
+                };
+
+                var onAbort = function() {
+                    cleanup();
+                    reject(self.createAbortError());
+                };
+
+                if (signal && signal.aborted) {
+                    reject(self.createAbortError());
+                    return;
                 }
-                
-                // Update timeframe filter
-                if (filterData.update_timeframe && filterData.update_timeframe !== 'all') {
-                    var lastUpdated = self.parseWordPressDate(plugin.last_updated);
-                    var daysSinceUpdate = Math.floor((new Date() - lastUpdated) / (1000 * 60 * 60 * 24));
-                    var maxDaysMap = {
-                        'last_month': 30,
-                        'last_3months': 90,
-                        'last_year': 365
-                    };
-                    var maxDays = maxDaysMap[filterData.update_timeframe];
-                    if (maxDays && daysSinceUpdate > maxDays) {
-                        return false;
-                    }
+
+                if (signal) {
+                    signal.addEventListener('abort', onAbort);
                 }
-                
-                // Usability rating filter
-                if (filterData.usability_rating && parseFloat(filterData.usability_rating) > 0) {
-                    var usability = self.calculateUsability(plugin.ratings || {}, plugin.num_ratings || 0);
-                    if (usability.score < parseFloat(filterData.usability_rating)) {
-                        return false;
-                    }
+
+                if (remaining > 0) {
+                    self.showRetryCountdown(remaining, error);
+                    interval = setInterval(function() {
+                        remaining = Math.max(0, remaining - 1);
+                        self.showRetryCountdown(remaining, error);
+                    }, 1000);
                 }
-                
-                // Health score filter  
-                if (filterData.health_score && parseInt(filterData.health_score) > 0) {
-                    var healthScore = self.calculateHealthProxy(plugin);
-                    if (healthScore < parseInt(filterData.health_score)) {
-                        return false;
-                    }
+
+                timer = setTimeout(function() {
+                    cleanup();
+                    resolve();
+                }, delay);
+            });
+        },
+
+        /**
+         * Show the retry countdown below the filter controls
+         */
+        showRetryCountdown: function(seconds, error) {
+            var rateLimited = error && (error.status === 429 || error.status === 503);
+            var reason = rateLimited
+                ? (wpPluginFilters.strings.rateLimit || 'Too many requests. Please slow down.')
+                : (wpPluginFilters.strings.connectionRetry || 'Could not reach WordPress.org.');
+            var countdown = (wpPluginFilters.strings.retryingIn || 'Retrying in %d seconds…').replace('%d', seconds);
+            var $notice = $('.wp-plugin-filters-retry');
+
+            if (!$notice.length) {
+                $notice = $(`
+                    <div class="wp-plugin-filters-retry notice notice-warning inline" role="status" aria-live="polite">
+                        <p class="wp-plugin-filters-retry-text"></p>
+                    </div>
+                `);
+                var $anchor = $('.wp-plugin-filters-progress, .wp-plugin-filters-controls').last();
+                if ($anchor.length) {
+                    $anchor.after($notice);
+                } else {
+                    $notice.prependTo('.wrap');
                 }
-                
-                // Rating filter
-                if (filterData.rating && parseFloat(filterData.rating) > 0) {
-                    var pluginRating = plugin.rating || 0;
-                    if (pluginRating < parseFloat(filterData.rating)) {
-                        return false;
+            }
+
+            $notice.find('.wp-plugin-filters-retry-text').text(reason + ' ' + countdown);
+        },
+
+        /**
+         * Remove the retry countdown
+         */
+        hideRetryCountdown: function() {
+            $('.wp-plugin-filters-retry').remove();
+        },
+
+        /**
+         * Fetch result pages one after another up to the configured cap and merge them
+         */
+        fetchAllPluginPages: function(searchTerm, signal) {
+            var self = this;
+            var maxPages = this.getMaxAggregatePages();
+            var merged = [];
+            var seenSlugs = {};
+            var lastPagination = null;
+            var oldestCachedAt = null;
+            var restarted = false;
+
+            var mergePage = function(response) {
+                response.plugins.forEach(function(plugin) {
+                    // Result pages can shift between requests, so skip plugins we already have
+                    if (plugin.slug && !seenSlugs[plugin.slug]) {
+                        seenSlugs[plugin.slug] = true;
+                        merged.push(plugin);
                     }
+                });
+                lastPagination = response.pagination;
+
+                if (response.cachedAt && (!oldestCachedAt || response.cachedAt < oldestCachedAt)) {
+                    oldestCachedAt = response.cachedAt;
                 }
-                
-                return true;
-            });
+            };
 
-            // Only sort if a specific sort order is selected
-            if (filterData.sort_by && filterData.sort_by !== '') {
-                filtered.sort(function(a, b) {
-                    // Sort by selected criteria
-                    var sortBy = filterData.sort_by;
-                    switch (sortBy) {
-                        case 'relevance':
-                            return 0; // Keep original order for relevance
-                        case 'installations':
-                            return (b.active_installs || 0) - (a.active_installs || 0);
-                        case 'rating':
-                            return (b.rating || 0) - (a.rating || 0);
-                        case 'updated':
-                            var dateA = self.parseWordPressDate(a.last_updated);
-                            var dateB = self.parseWordPressDate(b.last_updated);
-                            return dateB - dateA;
-                        case 'usability_rating':
-                            var usabilityA = self.calculateUsability(a.ratings || {}, a.num_ratings || 0);
-                            var usabilityB = self.calculateUsability(b.ratings || {}, b.num_ratings || 0);
-                            return usabilityB.score - usabilityA.score;
-                        case 'health_score':
-                            return self.calculateHealthProxy(b) - self.calculateHealthProxy(a);
-                        default:
-                            return 0;
+            var fetchPage = function(page, totalPages) {
+                self.showProgress(page, totalPages);
+
+                return self.fetchPluginData(searchTerm, page, signal).then(function(response) {
+                    mergePage(response);
+
+                    var pagesToFetch = Math.min(response.pagination.pages, maxPages);
+                    if (page < pagesToFetch) {
+                        return fetchPage(page + 1, pagesToFetch);
                     }
+                    return page;
+                }, function(error) {
+                    if (page === 1 || restarted || error.status === 429 || self.isAbortError(error)) {
+                        throw error;
+                    }
+
+                    // Switching modes changes the page size, so start over from page 1 in the other mode
+                    var fallbackMode = self.getRequestMode() === 'proxied' ? 'direct' : 'proxied';
+                    console.warn('[WP Plugin Filters] Page ' + page + ' failed, restarting in ' + fallbackMode + ' mode:', error);
+
+                    restarted = true;
+                    merged = [];
+                    seenSlugs = {};
+                    oldestCachedAt = null;
+                    self.rememberRequestMode(fallbackMode);
+
+                    return fetchPage(1, totalPages);
                 });
-            }
+            };
 
-            return filtered;
+            return fetchPage(1, maxPages)
+                .then(function(pagesFetched) {
+                    self.hideProgress();
+                    console.log('[WP Plugin Filters] Aggregated', merged.length, 'plugins from', pagesFetched, 'pages');
+
+                    return {
+                        plugins: merged,
+                        pagination: {
+                            page: 1,
+                            pages: lastPagination.pages,
+                            pages_fetched: pagesFetched,
+                            total_results: lastPagination.total_results
+                        },
+                        cachedAt: oldestCachedAt
+                    };
+                })
+                .catch(function(error) {
+                    // An aborted walk was superseded, its successor owns the progress bar now
+                    if (!self.isAbortError(error)) {
+                        self.hideProgress();
+                    }
+                    throw error;
+                });
         },
 
         /**
-         * Get icon URL from plugin data (handles WordPress.org API format)
+         * Build the cache key for a search term and result page
          */
-        getIconUrl: function(plugin) {
-            if (!plugin || !plugin.icons || typeof plugin.icons !== 'object') {
-                return ''; // Return empty string for broken images to hide via onerror
-            }
-            
-            var icons = plugin.icons;
-            console.log('Getting icon URL for', plugin.slug, '- available icons:', JSON.stringify(icons));
-            
-            // Priority order: svg, 2x, 1x, default
-            if (icons.svg) return icons.svg;
-            if (icons['2x']) return icons['2x'];  
-            if (icons['1x']) return icons['1x'];
-            if (icons.default) return icons.default;
-            
-            // No valid icons found
-            return '';
+        getCacheKey: function(searchTerm, page) {
+            return this.config.cachePrefix + JSON.stringify([searchTerm.trim().toLowerCase(), page, this.getApiPerPage()]);
         },
 
         /**
-         * Get current filter data from form
+         * Get the cache lifetime in seconds (the "Search Results" duration from the settings page)
          */
-        getCurrentFilterData: function() {
-            // Defensive checks - ensure elements exist before accessing their values
-            var searchTerm = '';
-            if (this.$elements.searchInput && this.$elements.searchInput.length > 0) {
-                searchTerm = this.$elements.searchInput.val() || '';
-            }
-            
-            console.log('[WP Plugin Filters] Search term captured:', searchTerm);
-            console.log('[WP Plugin Filters] Search input element:', this.$elements.searchInput ? this.$elements.searchInput.length : 0);
-            
-            return {
-                search_term: searchTerm,
-                installation_range: (this.$elements.installationRange && this.$elements.installationRange.length) ? this.$elements.installationRange.val() || 'all' : 'all',
-                update_timeframe: (this.$elements.updateTimeframe && this.$elements.updateTimeframe.length) ? this.$elements.updateTimeframe.val() || 'all' : 'all',
-                usability_rating: (this.$elements.usabilityRating && this.$elements.usabilityRating.length) ? parseFloat(this.$elements.usabilityRating.val()) || 0 : 0,
-                health_score: (this.$elements.healthScore && this.$elements.healthScore.length) ? parseInt(this.$elements.healthScore.val()) || 0 : 0,
-                rating: (this.$elements.rating && this.$elements.rating.length) ? parseFloat(this.$elements.rating.val()) || 0 : 0,
-                sort_by: (this.$elements.sortBy && this.$elements.sortBy.length) ? this.$elements.sortBy.val() || '' : '',
-                sort_direction: (this.$elements.sortDirection && this.$elements.sortDirection.length) ? this.$elements.sortDirection.val() || 'desc' : 'desc',
-                page: 1, // Reset to first page when filters change
-                per_page: 24 // WordPress default
-            };
+        getCacheTtl: function() {
+            var settings = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.settings) ? wpPluginFilters.settings : {};
+            return parseInt(settings.cacheTtl, 10) || this.config.cacheTtl;
         },
 
         /**
-         * Execute AJAX request with retry logic
+         * Read a cached API response, returning null when missing or expired
          */
-        executeAjaxRequest: function(action, data) {
-            var self = this;
-            
-            // Map action to correct nonce
-            var nonceMap = {
-                'wppdfi_filter': 'filter_plugins',
-                'wppdfi_sort': 'sort_plugins', 
-                'wppdfi_rating': 'calculate_rating',
-                'wppdfi_clear_cache': 'clear_cache'
-            };
-            
-            var requestData = $.extend({}, data, {
-                action: action,
-                nonce: wpPluginFilters.nonces[nonceMap[action]] || wpPluginFilters.nonces.filter_plugins
-            });
-            
-            return $.ajax({
-                url: wpPluginFilters.ajaxUrl,
-                method: 'POST',
-                data: requestData,
-                dataType: 'json',
-                timeout: 30000
-            }).fail(function(xhr, status, error) {
-                console.error('[WP Plugin Filters] AJAX Error:', {
-                    status: xhr.status,
-                    statusText: xhr.statusText,
-                    error: error,
-                    action: action
-                });
-                
-                if (xhr.status === 405) {
-                    self.showError('Method not allowed. Please check plugin configuration.');
-                    return;
+        getCachedResponse: function(key) {
+            try {
+                var entry = JSON.parse(window.sessionStorage.getItem(key));
+                if (!entry || !entry.data) {
+                    return null;
                 }
-                
-                if (self.state.retryCount < self.config.maxRetries) {
-                    self.state.retryCount++;
-                    setTimeout(function() {
-                        self.executeAjaxRequest(action, data);
-                    }, self.config.retryDelay);
-                } else {
-                    self.showError(wpPluginFilters.strings.error + ' (Status: ' + xhr.status + ')');
+                if (Date.now() - entry.time > this.getCacheTtl() * 1000) {
+                    window.sessionStorage.removeItem(key);
+                    return null;
                 }
-            });
+                return Object.assign({}, entry.data, { cachedAt: entry.time });
+            } catch (e) {
+                return null;
+            }
         },
 
         /**
-         * Handle successful filter response (UNUSED - using direct API now)
+         * Store an API response in the session cache
          */
-        handleFilterSuccess: function(response) {
-            // This function is no longer used - we call WordPress.org API directly
-            console.log('[WP Plugin Filters] handleFilterSuccess called but should not be - using direct API');
+        setCachedResponse: function(key, data) {
+            var value = JSON.stringify({ time: Date.now(), data: data });
+
+            try {
+                window.sessionStorage.setItem(key, value);
+            } catch (e) {
+                // Storage is full or unavailable - drop our old entries and try once more
+                console.warn('[WP Plugin Filters] Could not cache response, pruning cache:', e);
+                this.pruneCache(true);
+                try {
+                    window.sessionStorage.setItem(key, value);
+                } catch (retryError) {
+                    console.warn('[WP Plugin Filters] Response not cached:', retryError);
+                }
+            }
         },
 
         /**
-         * Handle filter request errors
+         * Remove expired cache entries, or all of them when clearAll is set
          */
-        handleFilterError: function(xhr, textStatus, errorThrown) {
-            this.hideLoadingState();
-            
-            var errorMessage = wpPluginFilters.strings.error;
-            if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
-                errorMessage = xhr.responseJSON.data.message;
-            }
-            
-            if (xhr.status === 429) {
-                errorMessage = wpPluginFilters.strings.rateLimit;
+        pruneCache: function(clearAll) {
+            try {
+                var storage = window.sessionStorage;
+                var maxAge = this.getCacheTtl() * 1000;
+
+                for (var i = storage.length - 1; i >= 0; i--) {
+                    var key = storage.key(i);
+                    if (!key || key.indexOf(this.config.cachePrefix) !== 0) {
+                        continue;
+                    }
+
+                    var entry = null;
+                    try {
+                        entry = JSON.parse(storage.getItem(key));
+                    } catch (e) {
+                        entry = null;
+                    }
+
+                    if (clearAll || !entry || Date.now() - entry.time > maxAge) {
+                        storage.removeItem(key);
+                    }
+                }
+            } catch (e) {
+                console.warn('[WP Plugin Filters] Could not prune cache:', e);
             }
-            
-            this.showError(errorMessage);
         },
 
         /**
-         * Update plugin grid with filtered results - Match Chrome extension approach
+         * Show or hide the "results from N minutes ago" notice
          */
-        updatePluginGrid: function(data) {
-            var self = this;
-            
-            console.log('[WP Plugin Filters] updatePluginGrid called with:', data);
-            
-            if (!data.plugins || !Array.isArray(data.plugins)) {
-                console.error('[WP Plugin Filters] No plugins array in data:', data);
-                this.showNoResults();
+        updateCacheNotice: function(cachedAt) {
+            $('.wp-plugin-filters-cache-notice').remove();
+
+            if (!cachedAt) {
                 return;
             }
-            
-            console.log('[WP Plugin Filters] Found', data.plugins.length, 'plugins to display');
-            
-            // Debug: Log first plugin data to see what we're getting from direct API
-            if (data.plugins.length > 0) {
-                console.log('[WP Plugin Filters] Sample plugin data from DIRECT API:', {
-                    name: data.plugins[0].name,
-                    slug: data.plugins[0].slug,
-                    icons: data.plugins[0].icons,
-                    hasIconsProperty: data.plugins[0].hasOwnProperty('icons'),
-                    iconType: typeof data.plugins[0].icons,
-                    iconKeys: data.plugins[0].icons ? Object.keys(data.plugins[0].icons) : 'no icons',
-                    icon1x: data.plugins[0].icons?.['1x'],
-                    icon2x: data.plugins[0].icons?.['2x'],
-                    iconSvg: data.plugins[0].icons?.svg,
-                    iconDefault: data.plugins[0].icons?.default,
-                    fullPlugin: data.plugins[0]
-                });
-            }
-            
-            // WordPress admin plugin installer containers
-            var containerSelectors = [
-                '#the-list',
-                '.plugin-browser .plugin-list',
-                '.wp-list-table tbody',
-                '.plugin-browser'
-            ];
-            
-            var $container = null;
-            for (var i = 0; i < containerSelectors.length; i++) {
-                $container = $(containerSelectors[i]).first();
-                if ($container.length) {
-                    console.log('[WP Plugin Filters] Found container with selector:', containerSelectors[i]);
-                    break;
-                }
-            }
-            
-            if (!$container || !$container.length) {
-                console.error('[WP Plugin Filters] Could not find results container. Available elements:', {
-                    blockPostTemplate: $('.wp-block-post-template').length,
-                    pluginCards: $('.plugin-cards').length,
-                    pluginBrowser: $('.plugin-browser').length,
-                    pluginList: $('.plugin-list').length,
-                    wpListTable: $('.wp-list-table').length,
-                    theList: $('#the-list').length
-                });
-                return;
-            }
-            
-            var pluginCards = data.plugins.map(function(plugin) {
-                return self.buildPluginCard(plugin);
-            }).join('');
-            
-            console.log('[WP Plugin Filters] Generated', pluginCards.length, 'characters of HTML');
-            
-            // Add classes to apply filtered styling ONLY when filters are actually applied
-            $('body').addClass('wp-filter-active');
-            $('body').addClass('wp-filter-results-active');
-            
-            console.log('[WP Plugin Filters] Applied filter classes - custom layout now active');
-            
-            // Only apply grid layout via CSS classes - don't force inline styles
-            // This allows CSS to control the layout properly
-            
-            // Replace the content
-            $container.html(pluginCards);
-            
-            // Icons will use browser's native error handling - no custom error handling needed
-            
-            // Update results count if available
-            if (data.pagination && data.pagination.total_results) {
-                $('.displaying-num').text(data.pagination.total_results + ' items');
-            }
-            
-            // Cards are already enhanced during build, no need to enhance again
-            
-            // Trigger WordPress events for compatibility
-            $(document).trigger('wp-plugin-install-success');
-            
-            console.log('[WP Plugin Filters] Grid update completed');
+
+            var minutes = Math.floor((Date.now() - cachedAt) / 60000);
+            var message = minutes < 1
+                ? (wpPluginFilters.strings.cachedJustNow || 'Showing results cached less than a minute ago.')
+                : (wpPluginFilters.strings.cachedResults || 'Showing results from %d min ago.').replace('%d', minutes);
+
+            var $notice = $(`
+                <div class="wp-plugin-filters-cache-notice notice notice-info inline">
+                    <p>
+                        <span class="wp-plugin-filters-cache-text">${this.escapeHtml(message)}</span>
+                        <button type="button" class="button-link wp-plugin-filters-refresh">${this.escapeHtml(wpPluginFilters.strings.refresh || 'Refresh')}</button>
+                    </p>
+                </div>
+            `);
+
+            $('.wp-plugin-filters-controls').first().after($notice);
         },
 
         /**
-         * Update plugin grid with clean results (no filter styling)
+         * Re-run the current search without using cached responses
          */
-        updatePluginGridClean: function(data) {
-            var self = this;
-            
-            console.log('[WP Plugin Filters] updatePluginGridClean called with:', data);
-            
-            if (!data.plugins || !Array.isArray(data.plugins)) {
-                console.error('[WP Plugin Filters] No plugins array in clean data:', data);
-                this.showNoResults();
-                return;
-            }
-            
-            console.log('[WP Plugin Filters] Found', data.plugins.length, 'plugins to display cleanly');
-            
-            var containerSelectors = [
-                '#the-list',
-                '.plugin-browser .plugin-list',
-                '.wp-list-table tbody',
-                '.plugin-browser'
-            ];
-            
-            var $container = null;
-            for (var i = 0; i < containerSelectors.length; i++) {
-                $container = $(containerSelectors[i]).first();
-                if ($container.length) {
-                    break;
-                }
-            }
-            
-            if (!$container || !$container.length) {
-                console.error('[WP Plugin Filters] Could not find results container for clean update');
-                return;
-            }
-            
-            // Build clean native WordPress plugin cards (no enhancements)
-            var pluginCards = data.plugins.map(function(plugin) {
-                return self.buildNativePluginCard(plugin);
-            }).join('');
-            
-            // DO NOT add filter classes for clean results
-            // This maintains the native WordPress layout
-            $('body').removeClass('wp-filter-active wp-filter-results-active');
-            
-            // Replace the content
-            $container.html(pluginCards);
-            
-            // Update results count if available
-            if (data.pagination && data.pagination.total_results) {
-                $('.displaying-num').text(data.pagination.total_results + ' items');
+        refreshResults: function() {
+            console.log('[WP Plugin Filters] Refreshing results, bypassing cache');
+            this.state.bypassCache = true;
+            $('.wp-plugin-filters-cache-notice').remove();
+
+            if (this.state.resultsMode === 'filtered') {
+                this.applyFilters();
+            } else {
+                this.performCleanSearch(this.$elements.searchInput.val() || '');
             }
-            
-            console.log('[WP Plugin Filters] Clean grid update completed - native layout preserved');
         },
 
         /**
-         * Build HTML for a native WordPress plugin card (no enhancements)
+         * Whether filtered searches should aggregate several API result pages
          */
-        buildNativePluginCard: function(plugin) {
-            var rating = plugin.rating ? (plugin.rating / 20) : 0; // Convert 0-100 to 0-5
-            var installs = plugin.active_installs || 0;
-            
-            return `
-                <li class="wp-block-post post-${plugin.slug} plugin type-plugin status-publish hentry">
-                    <div class="plugin-card" data-slug="${plugin.slug}">
-                        <div class="plugin-card-top">
-                            <div class="name column-name">
-                                <h3>
-                                    <a href="${this.getPluginDetailsUrl(plugin.slug)}" class="thickbox open-plugin-details-modal" aria-label="${this.escapeHtml(plugin.name)} plugin information">
-                                        ${this.escapeHtml(plugin.name)}
-                                        <img class="plugin-icon" 
-                                             src="${this.getIconUrl(plugin)}" 
-                                             alt="${this.escapeHtml(plugin.name)} icon"
-                                             onerror="this.style.display='none'">
-                                    </a>
-                                </h3>
-                            </div>
-                            <div class="action-links">
-                                <ul>
-                                    <li><a class="install-now button" data-slug="${plugin.slug}" href="${this.getInstallUrl(plugin.slug)}" aria-label="Install ${this.escapeHtml(plugin.name)} now">Install Now</a></li>
-                                    <li><a href="${this.getPluginDetailsUrl(plugin.slug)}" class="thickbox open-plugin-details-modal" aria-label="More information about ${this.escapeHtml(plugin.name)}">More Details</a></li>
-                                </ul>
-                            </div>
-                            <div class="desc column-description">
-                                <p>${this.escapeHtml(plugin.short_description || '')}</p>
-                                <p class="authors"><cite>By ${plugin.author || 'Unknown'}</cite></p>
-                            </div>
-                        </div>
-                        <div class="plugin-card-bottom">
-                            <div class="vers column-rating">
-                                <div class="star-rating" aria-label="${rating} out of 5 stars" data-rating="${rating}">
-                                    ${this.createStarRating(rating)}
-                                </div>
-                                <span class="num-ratings">(${plugin.num_ratings || 0})</span>
-                            </div>
-                            <div class="column-updated">
-                                <strong>Last Updated:</strong>
-                                <span title="${plugin.last_updated || 'Unknown'}">${this.formatRelativeTime(plugin.last_updated)}</span>
-                            </div>
-                            <div class="column-downloaded">
-                                ${this.formatInstallCount(installs)} Active Installations
-                            </div>
-                            <div class="column-compatibility">
-                                <span class="compatibility-compatible">
-                                    <strong>Tested up to:</strong> ${plugin.tested || 'Unknown'}
-                                </span>
-                            </div>
-                        </div>
-                    </div>
-                </li>
-            `;
+        isAggregationEnabled: function() {
+            var settings = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.settings) ? wpPluginFilters.settings : {};
+            return settings.aggregatePages !== false && this.getMaxAggregatePages() > 1;
         },
 
         /**
-         * Build HTML for a plugin card matching WordPress ADMIN structure
+         * Get the maximum number of API result pages to aggregate
          */
-        buildPluginCard: function(plugin) {
-            var rating = plugin.rating ? (plugin.rating / 20) : 0; // Convert 0-100 to 0-5
-            var installs = plugin.active_installs || 0;
-            var healthScore = plugin.health_score || this.calculateHealthProxy(plugin);
-            
-            // Calculate usability score from ratings breakdown
-            var usability = this.calculateUsability(plugin.ratings || {}, plugin.num_ratings || 0);
-            var usabilityColor = this.getUsabilityColor(usability.score);
-            
-            // Get update status with color-coded indicator
-            var updateStatus = this.getUpdateStatus(plugin.last_updated);
-            
-            // Get WordPress compatibility status
-            var wpCompatStatus = this.getWPCompatibilityStatus(plugin.tested);
-            
-            return `
-                <li class="wp-block-post post-${plugin.slug} plugin type-plugin status-publish hentry">
-                    <div class="plugin-card wp-block-wporg-link-wrapper is-style-no-underline wp-plugin-enhanced" data-slug="${plugin.slug}">
-                        <div class="entry">
-                            <header class="entry-header" style="display: flex; align-items: flex-start; gap: 12px; margin-bottom: 16px; position: relative;">
-                                <div class="entry-thumbnail" style="flex-shrink: 0;">
-                                    <img class="plugin-icon" 
-                                         src="${this.getIconUrl(plugin)}" 
-                                         alt="${this.escapeHtml(plugin.name)} icon" 
-                                         style="width: 64px; height: 64px; border-radius: 4px; object-fit: cover;"
-                                         onerror="this.style.display='none'">
-                                </div>
-                                <div style="flex: 1; display: flex; flex-direction: column;">
-                                    <h3 class="entry-title" style="margin: 0 0 8px 0; padding-right: 120px;"><a href="${this.getPluginDetailsUrl(plugin.slug)}" class="thickbox open-plugin-details-modal" aria-label="${this.escapeHtml(plugin.name)} plugin information">${this.escapeHtml(plugin.name)}</a></h3>
-                                </div>
-                                <div class="plugin-card-details-action" style="position: absolute; top: 0; right: 0;">
-                                    <a href="${this.getPluginDetailsUrl(plugin.slug)}" class="thickbox open-plugin-details-modal button" aria-label="More information about ${this.escapeHtml(plugin.name)}">More Details</a>
-                                </div>
-                            </header>
+        getMaxAggregatePages: function() {
+            var settings = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.settings) ? wpPluginFilters.settings : {};
+            return parseInt(settings.maxPages, 10) || this.config.maxAggregatePages;
+        },
 
-                            <div class="plugin-rating">
-                                <div class="wporg-ratings" aria-label="${rating} out of 5 stars" data-title-template="%s out of 5 stars" data-rating="${rating}" style="color:#ffb900">
-                                    ${this.createStarRating(rating)}
-                                </div>
-                                <span class="rating-count">(${plugin.num_ratings || 0}<span class="screen-reader-text"> total ratings</span>)</span>
-                            </div>
-                            <div class="entry-excerpt">
-                                <p>${this.escapeHtml(plugin.short_description || '')}</p>
-                            </div>
-                        </div>
+        /**
+         * Show multi-page loading progress below the filter controls
+         */
+        showProgress: function(current, total) {
+            var template = wpPluginFilters.strings.loadingPages || 'Loading results: page %1$d of %2$d…';
+            var message = template.replace('%1$d', current).replace('%2$d', total);
+            var $progress = $('.wp-plugin-filters-progress');
 
-                        <footer style="position: relative;">
-                            <div class="plugin-footer-info">
-                                <span class="plugin-author">
-                                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" aria-hidden="true" focusable="false"><path d="M15.5 9.5a1 1 0 100-2 1 1 0 000 2zm0 1.5a2.5 2.5 0 100-5 2.5 2.5 0 000 5zm-2.25 6v-2a2.75 2.75 0 00-2.75-2.75h-4A2.75 2.75 0 003.75 15v2h1.5v-2c0-.69.56-1.25 1.25-1.25h4c.69 0 1.25.56 1.25 1.25v2h1.5zm7-2v2h-1.5v-2c0-.69-.56-1.25-1.25-1.25H15v-1.5h2.5A2.75 2.75 0 0120.25 15zM9.5 8.5a1 1 0 11-2 0 1 1 0 012 0zm1.5 0a2.5 2.5 0 11-5 0 2.5 2.5 0 015 0z" fill-rule="evenodd"></path></svg>
-                                    ${plugin.author || 'Unknown'}
-                                </span>
-                                <span class="active-installs">
-                                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" aria-hidden="true" focusable="false"><path fill-rule="evenodd" d="M11.25 5h1.5v15h-1.5V5zM6 10h1.5v10H6V10zm12 4h-1.5v6H18v-6z" clip-rule="evenodd"></path></svg>
-                                    <span>${this.formatInstallCount(installs)} active installations</span>
-                                </span>
-                                <span class="tested-with ${wpCompatStatus.cssClass}">
-                                    <span style="display: inline-flex; align-items: center; margin-right: 6px;">${wpCompatStatus.icon}</span>
-                                    <span>${wpCompatStatus.text}${wpCompatStatus.label ? ' (' + wpCompatStatus.label + ')' : ''}</span>
-                                </span>
-                                <span class="last-updated ${updateStatus.cssClass}">
-                                    <span style="display: inline-flex; align-items: center; margin-right: 6px;">${updateStatus.icon}</span>
-                                    <span>${updateStatus.text}${updateStatus.label ? ' (' + updateStatus.label + ')' : ''}</span>
-                                </span>
-                                <span class="usability-score usability-${usabilityColor}">
-                                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" aria-hidden="true" focusable="false"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"></path></svg>
-                                    <span>Usability Rating: ${usability.score}/100</span>
-                                </span>
-                                <span class="health-score health-${this.getHealthColor(healthScore)}" data-slug="${plugin.slug}">
-                                    <span class="health-meter">${this.getHealthPowerMeter(healthScore)}</span>
-                                    <span>Health Score: ${healthScore}/100</span>
-                                </span>
-                            </div>
-                            <div class="plugin-card-install-action" style="position: absolute; bottom: 0; right: 0;">
-                                <a class="install-now button button-primary" data-slug="${plugin.slug}" href="${this.getInstallUrl(plugin.slug)}" aria-label="Install ${this.escapeHtml(plugin.name)} now">Install Now</a>
-                            </div>
-                        </footer>
+            if (!$progress.length) {
+                $progress = $(`
+                    <div class="wp-plugin-filters-progress notice notice-info inline" role="status" aria-live="polite">
+                        <p class="wp-plugin-filters-progress-text"></p>
+                        <progress class="wp-plugin-filters-progress-bar" value="0" max="1"></progress>
                     </div>
-                </li>
-            `;
+                `);
+                $('.wp-plugin-filters-controls').after($progress);
+            }
+
+            $progress.find('.wp-plugin-filters-progress-text').text(message);
+            $progress.find('.wp-plugin-filters-progress-bar').attr({ value: current, max: total });
         },
-        
+
         /**
-         * Get current WordPress version for compatibility
+         * Hide multi-page loading progress
          */
-        getWPVersion: function() {
-            return (typeof window.wp !== 'undefined' && window.wp.version) ? window.wp.version : '6.7.1';
+        hideProgress: function() {
+            $('.wp-plugin-filters-progress').remove();
         },
 
         /**
-         * Get WordPress compatibility status based on tested version
+         * Check if any filters are actively applied (not just search)
          */
-        getWPCompatibilityStatus: function(testedVersion) {
-            // Current WordPress versions and security info (as of January 2025)
-            var currentVersion = '6.7.1';
-            var lastCriticalSecurityVersion = '6.4.4'; // Last version before critical security fixes
-            
-            if (!testedVersion) {
-                return {
-                    color: 'red',
-                    icon: '<svg width="16" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="margin-top: -1px;"><circle cx="12" cy="12" r="10" fill="#d63638"/><path d="m8.5 8.5 7 7m0-7-7 7" stroke="white" stroke-width="2" stroke-linecap="round"/></svg>',
-                    cssClass: 'wp-compat-unknown',
-                    text: 'WordPress compatibility unknown',
-                    label: 'Security Risk'
+        hasActiveFilters: function(filterData) {
+            // Check if any non-search filters are applied
+            var hasRange = Object.keys(this.config.rangeFilters).some(function(key) {
+                return typeof filterData[key + '_min'] === 'number' || typeof filterData[key + '_max'] === 'number';
+            });
+
+            return hasRange ||
+                   (filterData.update_timeframe && filterData.update_timeframe !== 'all') ||
+                   (filterData.tags && filterData.tags.length > 0) ||
+                   (filterData.author_include && filterData.author_include.length > 0) ||
+                   (filterData.author_exclude && filterData.author_exclude.length > 0) ||
+                   filterData.compatible_only ||
+                   (filterData.query_conditions && filterData.query_conditions.length > 0) ||
+                   (filterData.phrases && filterData.phrases.length > 0) ||
+                   (filterData.exclude_terms && filterData.exclude_terms.length > 0) ||
+                   (filterData.sort_by && filterData.sort_by !== '');
+        },
+
+        /**
+         * Handle successful direct API response with clean native layout
+         */
+        handleDirectAPISuccessClean: function(response) {
+            console.log('[WP Plugin Filters] Direct API Success (Clean Layout):', response);
+            this.hideLoadingState();
+            this.state.retryCount = 0;
+            this.state.bypassCache = false;
+            this.updateCacheNotice(response && response.cachedAt);
+            
+            if (response && response.plugins) {
+                // For clean layout, don't apply client-side filters (only search was used)
+                var processedResponse = {
+                    plugins: response.plugins,
+                    pagination: response.pagination
                 };
+                
+                console.log('[WP Plugin Filters] Updating grid with clean native layout:', processedResponse);
+                // Remove filter classes to ensure native WordPress layout
+                $('body').removeClass('wp-filter-active wp-filter-results-active');
+                this.state.resultsMode = 'clean';
+                this.state.allPlugins = response.plugins;
+                this.state.showHidden = false;
+                this.updateUsabilityPrior();
+                this.teardownInfiniteScroll();
+                this.restoreNativePagination();
+                this.updatePluginGridClean(processedResponse);
+                this.renderFacets();
+                this.updateHiddenControls();
+            } else {
+                console.error('[WP Plugin Filters] Invalid clean API response structure:', response);
+                this.showError('Invalid API response structure');
             }
+        },
+
+        /**
+         * Handle successful direct API response with filtered layout
+         */
+        handleDirectAPISuccess: function(response) {
+            console.log('[WP Plugin Filters] Direct API Success (Filtered Layout):', response);
+            this.hideLoadingState();
+            this.state.retryCount = 0;
+            this.state.bypassCache = false;
+            this.updateCacheNotice(response && response.cachedAt);
             
-            // Clean version string (remove any extra text)
-            var cleanTested = testedVersion.replace(/[^\d.]/g, '');
-            
-            // Compare versions
-            if (this.compareVersions(cleanTested, currentVersion) >= 0) {
-                // Tested with current or newer version
-                return {
-                    color: 'green',
-                    icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="12" r="10" fill="#00a32a"/><path d="m9 12 2 2 4-4" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
-                    cssClass: 'wp-compat-current',
-                    text: 'Tested with WordPress ' + testedVersion,
-                    label: 'Up To Date'
-                };
-            } else if (this.compareVersions(cleanTested, lastCriticalSecurityVersion) >= 0) {
-                // Tested with recent version but not current - show yellow for any non-current version
-                return {
-                    color: 'yellow',
-                    icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M12 2L2 22h20L12 2z" fill="#f56e28"/><path d="M12 8v4M12 16h.01" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
-                    cssClass: 'wp-compat-recent',
-                    text: 'Tested with WordPress ' + testedVersion,
-                    label: 'Outdated'
-                };
+            if (response && response.plugins) {
+                this.state.allPlugins = response.plugins;
+                this.state.apiPagination = response.pagination;
+                this.state.showHidden = false;
+                this.updateUsabilityPrior();
+                this.renderFilteredResults(false);
             } else {
-                // Tested with version before critical security updates
-                return {
-                    color: 'red',
-                    icon: '<svg width="16" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="margin-top: -1px;"><circle cx="12" cy="12" r="10" fill="#d63638"/><path d="m8.5 8.5 7 7m0-7-7 7" stroke="white" stroke-width="2" stroke-linecap="round"/></svg>',
-                    cssClass: 'wp-compat-outdated',
-                    text: 'Tested with WordPress ' + testedVersion,
-                    label: 'Security Risk'
-                };
+                console.error('[WP Plugin Filters] Invalid filtered API response structure:', response);
+                this.showError('Invalid API response structure');
+            }
+        },
+
+        /**
+         * Filter and sort the loaded results, then render the current page of them
+         */
+        renderFilteredResults: function(keepPage) {
+            var filterData = this.state.currentFilters;
+
+            this.state.filteredPlugins = this.applyClientSideFilters(this.state.allPlugins, filterData);
+            this.state.resultsMode = 'filtered';
+
+            if (!keepPage) {
+                this.state.currentPage = 1;
+                this.state.renderedCount = 0;
+                this.state.emptyFetches = 0;
+                this.state.apiPagesLoaded = this.state.apiPagination.pages_fetched || this.state.apiPagination.page || 1;
+            }
+
+            console.log('[WP Plugin Filters] Filtered', this.state.allPlugins.length, 'plugins down to', this.state.filteredPlugins.length);
+
+            this.renderFacets();
+            this.updateHiddenControls();
+
+            if (this.isInfiniteScroll()) {
+                this.renderInfiniteResults();
+            } else {
+                this.renderCurrentPage();
+            }
+        },
+
+        /**
+         * Render the current page of the filtered results with its pagination controls
+         */
+        renderCurrentPage: function() {
+            var perPage = this.state.currentFilters.per_page || 24;
+            var total = this.state.filteredPlugins.length;
+            var pages = Math.max(1, Math.ceil(total / perPage));
+
+            this.state.currentPage = Math.min(Math.max(1, this.state.currentPage), pages);
+
+            var start = (this.state.currentPage - 1) * perPage;
+
+            this.updatePluginGrid({
+                plugins: this.state.filteredPlugins.slice(start, start + perPage),
+                pagination: this.state.apiPagination
+            });
+            this.updatePagination({
+                page: this.state.currentPage,
+                pages: pages,
+                per_page: perPage,
+                total_results: total
+            });
+        },
+
+        /**
+         * Whether filtered results are shown as an infinite scroll instead of numbered pages
+         */
+        isInfiniteScroll: function() {
+            var settings = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.settings) ? wpPluginFilters.settings : {};
+            return settings.resultsDisplay === 'infinite_scroll';
+        },
+
+        /**
+         * Render the first batch (or the already revealed cards) of the filtered results and watch for scrolling
+         */
+        renderInfiniteResults: function() {
+            var perPage = this.state.currentFilters.per_page || 24;
+
+            this.state.renderedCount = Math.max(this.state.renderedCount, perPage);
+
+            this.updatePluginGrid({
+                plugins: this.state.filteredPlugins.slice(0, this.state.renderedCount),
+                pagination: this.state.apiPagination
+            });
+            this.updateInfiniteSummary();
+            this.setupInfiniteScroll();
+        },
+
+        /**
+         * Show the "showing X–Y of Z" count without page links while scrolling
+         */
+        updateInfiniteSummary: function() {
+            var total = this.state.filteredPlugins.length;
+
+            this.updatePagination({
+                page: 1,
+                pages: 1,
+                per_page: Math.min(this.state.renderedCount, total),
+                total_results: total
+            });
+        },
+
+        /**
+         * Place a sentinel below the results and load more when it scrolls into view
+         */
+        setupInfiniteScroll: function() {
+            var self = this;
+            var $container = $('#the-list, .plugin-browser .plugin-list, .wp-list-table tbody, .plugin-browser').first();
+
+            this.teardownInfiniteScroll();
+
+            if (!$container.length || typeof window.IntersectionObserver === 'undefined') {
+                console.warn('[WP Plugin Filters] Infinite scroll unavailable, falling back to pagination');
+                this.renderCurrentPage();
+                return;
+            }
+
+            var $sentinel = $(`
+                <div class="wp-plugin-filters-scroll-sentinel" role="status" aria-live="polite">
+                    <span class="spinner"></span>
+                    <span class="wp-plugin-filters-scroll-text"></span>
+                    <button type="button" class="button wp-plugin-filters-load-more" hidden>${this.escapeHtml(wpPluginFilters.strings.loadMore || 'Load more')}</button>
+                </div>
+            `);
+            $container.after($sentinel);
+
+            this.scrollObserver = new IntersectionObserver(function(entries) {
+                if (entries[0].isIntersecting) {
+                    self.loadMoreResults();
+                }
+            }, { rootMargin: '400px 0px' });
+
+            this.scrollObserver.observe($sentinel[0]);
+            this.updateSentinel();
+        },
+
+        /**
+         * Stop watching for scrolling and remove the sentinel
+         */
+        teardownInfiniteScroll: function() {
+            if (this.scrollObserver) {
+                this.scrollObserver.disconnect();
+                this.scrollObserver = null;
+            }
+            $('.wp-plugin-filters-scroll-sentinel').remove();
+        },
+
+        /**
+         * Whether more results can be revealed or fetched
+         */
+        hasMoreResults: function() {
+            var apiPages = this.state.apiPagination ? this.state.apiPagination.pages : 1;
+            return this.state.renderedCount < this.state.filteredPlugins.length || this.state.apiPagesLoaded < apiPages;
+        },
+
+        /**
+         * Update the sentinel text to reflect the loading state
+         */
+        updateSentinel: function() {
+            var $sentinel = $('.wp-plugin-filters-scroll-sentinel');
+            var hasMore = this.hasMoreResults();
+
+            var paused = !this.state.isLoadingMore && hasMore && this.isLoadMorePaused();
+
+            $sentinel.find('.spinner').toggleClass('is-active', this.state.isLoadingMore);
+            $sentinel.find('.wp-plugin-filters-scroll-text').text(
+                this.state.isLoadingMore
+                    ? (wpPluginFilters.strings.loadingMore || 'Loading more plugins…')
+                    : (paused
+                        ? (wpPluginFilters.strings.noRecentMatches || 'No matching plugins on the last result pages.')
+                        : (hasMore ? '' : (wpPluginFilters.strings.allLoaded || 'All matching plugins are shown.')))
+            );
+            $sentinel.find('.wp-plugin-filters-load-more').prop('hidden', !paused);
+        },
+
+        /**
+         * Whether every loaded match is shown and the last fetches found nothing new, so scrolling waits for "Load more"
+         */
+        isLoadMorePaused: function() {
+            return this.state.renderedCount >= this.state.filteredPlugins.length &&
+                this.state.emptyFetches >= this.config.maxEmptyFetches;
+        },
+
+        /**
+         * Append the next batch of cards, fetching the next API page when the loaded set runs out
+         */
+        loadMoreResults: function(manual) {
+            var self = this;
+            var perPage = this.state.currentFilters.per_page || 24;
+
+            if (this.state.isLoadingMore || this.state.resultsMode !== 'filtered') {
+                return;
+            }
+
+            var pending = this.state.filteredPlugins.length - this.state.renderedCount;
+            var apiPages = this.state.apiPagination ? this.state.apiPagination.pages : 1;
+            // Don't walk every remaining API page while the filters match nothing - each one counts against the rate limit
+            var canFetch = this.state.apiPagesLoaded < apiPages && (manual || this.state.emptyFetches < this.config.maxEmptyFetches);
+
+            // Fetch the next API page before the loaded matches run out, so its plugins are sorted in with the ones not shown yet
+            if (pending >= perPage || (pending > 0 && !canFetch)) {
+                this.appendResults(perPage);
+                return;
+            }
+
+            if (!canFetch) {
+                this.updateSentinel();
+                return;
+            }
+
+            var searchTerm = this.state.currentFilters.search_term;
+            var nextPage = this.state.apiPagesLoaded + 1;
+
+            this.state.isLoadingMore = true;
+            this.updateSentinel();
+
+            this.fetchPluginData(searchTerm, nextPage, this.state.requestController ? this.state.requestController.signal : null)
+                .then(function(response) {
+                    // Ignore pages that arrive after the search has changed
+                    if (self.state.resultsMode !== 'filtered' || self.state.currentFilters.search_term !== searchTerm) {
+                        return;
+                    }
+
+                    var known = {};
+                    self.state.allPlugins.forEach(function(plugin) {
+                        known[plugin.slug] = true;
+                    });
+
+                    var newPlugins = response.plugins.filter(function(plugin) {
+                        return plugin.slug && !known[plugin.slug];
+                    });
+
+                    var newMatches = self.applyClientSideFilters(newPlugins, self.state.currentFilters);
+                    self.state.emptyFetches = newMatches.length ? 0 : self.state.emptyFetches + 1;
+
+                    // Cards already on screen don't move, the new matches are sorted in with the ones not shown yet
+                    var rendered = self.state.filteredPlugins.slice(0, self.state.renderedCount);
+                    var unrendered = self.state.filteredPlugins.slice(self.state.renderedCount).concat(newMatches);
+                    self.state.allPlugins = self.state.allPlugins.concat(newPlugins);
+                    self.state.filteredPlugins = rendered.concat(self.sortPlugins(unrendered, self.state.currentFilters));
+                    self.state.apiPagesLoaded = nextPage;
+                    self.state.apiPagination.pages = response.pagination.pages;
+                    self.renderFacets();
+                    self.updateHiddenControls();
+
+                    console.log('[WP Plugin Filters] Loaded API page', nextPage, 'with', newPlugins.length, 'new plugins');
+                })
+                .catch(function(error) {
+                    if (self.isAbortError(error)) {
+                        return;
+                    }
+                    console.error('[WP Plugin Filters] Failed to load more results:', error);
+                    // Stop trying further pages for this search
+                    self.state.apiPagesLoaded = self.state.apiPagination.pages;
+                })
+                .then(function() {
+                    self.state.isLoadingMore = false;
+                    if (self.state.resultsMode === 'filtered') {
+                        self.appendResults(perPage);
+                    }
+                });
+        },
+
+        /**
+         * Append up to count more filtered cards below the ones already shown
+         */
+        appendResults: function(count) {
+            var self = this;
+            var $container = $('#the-list, .plugin-browser .plugin-list, .wp-list-table tbody, .plugin-browser').first();
+            var batch = this.state.filteredPlugins.slice(this.state.renderedCount, this.state.renderedCount + count);
+
+            if (batch.length) {
+                $container.append(batch.map(function(plugin) {
+                    return self.buildPluginCard(plugin);
+                }).join(''));
+                this.state.renderedCount += batch.length;
+                this.updateInfiniteSummary();
+            }
+
+            this.updateSentinel();
+
+            // The observer only fires on changes, so keep going while the sentinel is still visible
+            var sentinel = $('.wp-plugin-filters-scroll-sentinel')[0];
+            if (sentinel && this.hasMoreResults() && sentinel.getBoundingClientRect().top < window.innerHeight + 400) {
+                setTimeout(this.loadMoreResults.bind(this), 0);
+            }
+        },
+
+        /**
+         * Show a specific page of the filtered results
+         */
+        goToPage: function(page) {
+            if (this.state.resultsMode !== 'filtered') {
+                return;
+            }
+
+            this.state.currentPage = page;
+            this.renderCurrentPage();
+
+            // Bring the top of the results back into view
+            var $controls = $('.wp-plugin-filters-controls');
+            if ($controls.length) {
+                $('html, body').animate({ scrollTop: $controls.offset().top - 40 }, 200);
+            }
+        },
+
+        /**
+         * Handle clicks on the filtered pagination links
+         */
+        handlePaginationClick: function($link) {
+            var page = parseInt($link.attr('data-wppdfi-page'), 10);
+            if (page) {
+                this.goToPage(page);
+            }
+        },
+
+        /**
+         * Check whether two filter states differ only in their sort order
+         */
+        isSortOnlyChange: function(previous, next) {
+            if (!previous || !previous.search_term) {
+                return false;
+            }
+
+            var sortKeys = ['sort_by', 'sort_direction', 'sort_by_2', 'sort_direction_2', 'sort_by_3', 'sort_direction_3'];
+            var keys = Object.keys(next);
+
+            for (var i = 0; i < keys.length; i++) {
+                if (sortKeys.indexOf(keys[i]) === -1 && JSON.stringify(previous[keys[i]]) !== JSON.stringify(next[keys[i]])) {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+
+        /**
+         * Handle direct API errors
+         */
+        handleDirectAPIError: function(error) {
+            console.error('[WP Plugin Filters] Direct API Error:', error);
+            this.hideLoadingState();
+            this.hideRetryCountdown();
+            this.state.bypassCache = false;
+
+            if (error.status === 429) {
+                this.showError(wpPluginFilters.strings.rateLimit || error.message);
+                return;
+            }
+
+            this.showError('Failed to fetch plugins: ' + error.message);
+        },
+
+        /**
+         * Apply filters client-side (like Chrome extension)
+         */
+        applyClientSideFilters: function(plugins, filterData) {
+            var self = this;
+            var lowerCase = function(value) {
+                return value.toLowerCase();
+            };
+            // Author names from the query may differ in case from the API's
+            var authorInclude = (filterData.author_include || []).map(lowerCase);
+            var authorExclude = (filterData.author_exclude || []).map(lowerCase);
+            
+            var filtered = plugins.filter(function(plugin) {
+                // Plugins the user hid stay out of every result set unless revealed
+                if (!self.state.showHidden && self.isHiddenPlugin(plugin.slug)) {
+                    return false;
+                }
+                
+                // Range filters - both bounds are inclusive, a null bound is open
+                var outOfRange = Object.keys(self.config.rangeFilters).some(function(key) {
+                    var min = filterData[key + '_min'];
+                    var max = filterData[key + '_max'];
+                    if (typeof min !== 'number' && typeof max !== 'number') {
+                        return false;
+                    }
+                    var value = self.getPluginRangeValue(plugin, key);
+                    return (typeof min === 'number' && value < min) || (typeof max === 'number' && value > max);
+                });
+                if (outOfRange) {
+                    return false;
+                }
+                
+                // Query conditions keep their exact operator (installs:>50k excludes 50,000 itself)
+                if (filterData.query_conditions && filterData.query_conditions.length) {
+                    var failsQuery = filterData.query_conditions.some(function(condition) {
+                        return !self.matchesQueryCondition(self.getPluginRangeValue(plugin, condition.key), condition);
+                    });
+                    if (failsQuery) {
+                        return false;
+                    }
+                }
+                
+                // Exact phrases must appear, excluded words must not
+                if ((filterData.phrases && filterData.phrases.length) || (filterData.exclude_terms && filterData.exclude_terms.length)) {
+                    var pluginText = self.getPluginSearchText(plugin);
+                    var missingPhrase = (filterData.phrases || []).some(function(phrase) {
+                        return pluginText.indexOf(phrase) === -1;
+                    });
+                    var hasExcluded = (filterData.exclude_terms || []).some(function(term) {
+                        return pluginText.indexOf(term) !== -1;
+                    });
+                    if (missingPhrase || hasExcluded) {
+                        return false;
+                    }
+                }
+                
+                // Update timeframe filter
+                if (filterData.update_timeframe && filterData.update_timeframe !== 'all') {
+                    var lastUpdated = self.parseWordPressDate(plugin.last_updated);
+                    var daysSinceUpdate = Math.floor((new Date() - lastUpdated) / (1000 * 60 * 60 * 24));
+                    var maxDaysMap = {
+                        'last_month': 30,
+                        'last_3months': 90,
+                        'last_year': 365
+                    };
+                    var maxDays = maxDaysMap[filterData.update_timeframe];
+                    if (maxDays && daysSinceUpdate > maxDays) {
+                        return false;
+                    }
+                }
+                
+                // Tag filter - any (OR) or all (AND) of the selected tags
+                if (filterData.tags && filterData.tags.length) {
+                    var pluginTags = self.getPluginTags(plugin).map(function(tag) {
+                        return tag.value;
+                    });
+                    var matchedTags = filterData.tags.filter(function(tag) {
+                        return pluginTags.indexOf(tag) !== -1;
+                    }).length;
+                    if (filterData.tag_mode === 'and' ? matchedTags < filterData.tags.length : matchedTags === 0) {
+                        return false;
+                    }
+                }
+                
+                // Site compatibility filter
+                if (filterData.compatible_only && self.getCompatibilityIssues(plugin).length) {
+                    return false;
+                }
+                
+                // Author include/exclude filter
+                if (authorInclude.length || authorExclude.length) {
+                    var authorName = self.getAuthorName(plugin).toLowerCase();
+                    if (authorInclude.length && authorInclude.indexOf(authorName) === -1) {
+                        return false;
+                    }
+                    if (authorExclude.indexOf(authorName) !== -1) {
+                        return false;
+                    }
+                }
+                
+                return true;
+            });
+
+            return this.sortPlugins(filtered, filterData);
+        },
+
+        /**
+         * Sort plugins by the selected sort levels, keeping the given order when no sort is selected
+         */
+        sortPlugins: function(plugins, filterData) {
+            var self = this;
+            var sorted = plugins;
+
+            // Only sort if a specific sort order is selected
+            var sortKeys = this.getSortKeys(filterData);
+            if (sortKeys.length) {
+                // Work out each sort value once rather than on every comparison
+                var decorated = plugins.map(function(plugin, index) {
+                    return {
+                        plugin: plugin,
+                        index: index,
+                        values: sortKeys.map(function(sortKey) {
+                            return self.getSortValue(plugin, sortKey.by, index, plugins.length);
+                        })
+                    };
+                });
+
+                decorated.sort(function(a, b) {
+                    for (var i = 0; i < sortKeys.length; i++) {
+                        var diff = a.values[i] - b.values[i];
+                        if (diff) {
+                            return sortKeys[i].direction === 'asc' ? diff : -diff;
+                        }
+                    }
+                    // Full ties keep the API's order
+                    return a.index - b.index;
+                });
+
+                sorted = decorated.map(function(item) {
+                    return item.plugin;
+                });
+            }
+
+            return sorted;
+        },
+
+        /**
+         * Get the selected sort levels in order, up to the first unset one
+         */
+        getSortKeys: function(filterData) {
+            var levels = [
+                [filterData.sort_by, filterData.sort_direction],
+                [filterData.sort_by_2, filterData.sort_direction_2],
+                [filterData.sort_by_3, filterData.sort_direction_3]
+            ];
+            var keys = [];
+            var used = [];
+
+            for (var i = 0; i < levels.length; i++) {
+                var by = levels[i][0];
+                if (!by) {
+                    break;
+                }
+                if (used.indexOf(by) === -1) {
+                    keys.push({ by: by, direction: levels[i][1] === 'asc' ? 'asc' : 'desc' });
+                    used.push(by);
+                }
+                // Relevance and Best Match hardly ever tie, so later levels can't change anything
+                if (by === 'relevance' || by === 'best_match') {
+                    break;
+                }
+            }
+
+            return keys;
+        },
+
+        /**
+         * Get the numeric value a plugin is sorted by - higher values come first when descending
+         */
+        getSortValue: function(plugin, sortBy, index, total) {
+            switch (sortBy) {
+                case 'relevance':
+                    return -index; // Descending keeps the API's relevance order
+                case 'best_match':
+                    return this.getBestMatchScore(plugin, index, total);
+                case 'installations':
+                    return this.getPluginRangeValue(plugin, 'installs');
+                case 'rating':
+                    return this.getPluginRangeValue(plugin, 'rating');
+                case 'updated':
+                    return this.parseWordPressDate(plugin.last_updated).getTime() || 0;
+                case 'usability_rating':
+                    return this.getPluginRangeValue(plugin, 'usability');
+                case 'health_score':
+                    return this.getPluginRangeValue(plugin, 'health');
+                default:
+                    return 0;
+            }
+        },
+
+        /**
+         * Get icon URL from plugin data (handles WordPress.org API format)
+         */
+        getIconUrl: function(plugin) {
+            if (!plugin || !plugin.icons || typeof plugin.icons !== 'object') {
+                return ''; // Return empty string for broken images to hide via onerror
+            }
+            
+            var icons = plugin.icons;
+            console.log('Getting icon URL for', plugin.slug, '- available icons:', JSON.stringify(icons));
+            
+            // Priority order: svg, 2x, 1x, default
+            if (icons.svg) return icons.svg;
+            if (icons['2x']) return icons['2x'];  
+            if (icons['1x']) return icons['1x'];
+            if (icons.default) return icons.default;
+            
+            // No valid icons found
+            return '';
+        },
+
+        /**
+         * Parse search box query syntax into free text and filters
+         *
+         * Supports -word, "exact phrase", installs/rating/usability/health with >, >=, <, <=, = or min..max,
+         * tag:slug, author:"Name" and -author:"Name". Tokens that can't be read end up in errors.
+         */
+        parseSearchQuery: function(raw) {
+            var strings = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.strings) ? wpPluginFilters.strings : {};
+            var query = {
+                text: '',
+                conditions: [],
+                tags: [],
+                authorInclude: [],
+                authorExclude: [],
+                phrases: [],
+                excludeTerms: [],
+                errors: []
+            };
+            var words = [];
+            // Optional "-", optional "field:", then a quoted or bare value
+            var tokenPattern = /(-?)(?:([a-z_]+):)?(?:"([^"]*)("?)|([^\s"]+))/gi;
+            var match;
+
+            while ((match = tokenPattern.exec(raw)) !== null) {
+                var token = match[0];
+                var negate = match[1] === '-';
+                var field = (match[2] || '').toLowerCase();
+                var quoted = match[3] !== undefined;
+                var value = (quoted ? match[3] : match[5] || '').trim();
+
+                if (quoted && !match[4]) {
+                    query.errors.push((strings.queryUnclosedQuote || 'Missing closing quote in %s.').replace('%s', token));
+                }
+
+                if (!field) {
+                    if (/^[a-z_]+:$/i.test(value)) {
+                        query.errors.push((strings.queryInvalidValue || 'Could not read the value of %s.').replace('%s', token));
+                    } else if (value && negate) {
+                        query.excludeTerms.push(value.toLowerCase());
+                    } else if (value) {
+                        words.push(value);
+                        if (quoted) {
+                            query.phrases.push(value.toLowerCase());
+                        }
+                    }
+                    continue;
+                }
+
+                if (this.config.rangeFilters[field] && !negate) {
+                    var conditions = this.parseRangeQueryValue(field, value);
+                    if (conditions) {
+                        query.conditions = query.conditions.concat(conditions);
+                    } else {
+                        query.errors.push((strings.queryInvalidValue || 'Could not read the value of %s.').replace('%s', token));
+                    }
+                } else if (field === 'tag' && !negate && value) {
+                    query.tags.push(value.toLowerCase().replace(/\s+/g, '-'));
+                } else if (field === 'author' && value) {
+                    (negate ? query.authorExclude : query.authorInclude).push(value);
+                } else if (field === 'tag' || field === 'author' || this.config.rangeFilters[field]) {
+                    query.errors.push((strings.queryInvalidValue || 'Could not read the value of %s.').replace('%s', token));
+                } else {
+                    query.errors.push((strings.queryUnknownField || 'Unknown filter %s.').replace('%s', token));
+                }
+            }
+
+            query.text = words.join(' ');
+            return query;
+        },
+
+        /**
+         * Parse the value of a range query token into conditions, or null when it's malformed
+         */
+        parseRangeQueryValue: function(key, value) {
+            var between = value.match(/^(.+?)\.\.(.+)$/);
+
+            if (between) {
+                var low = this.parseQueryNumber(between[1]);
+                var high = this.parseQueryNumber(between[2]);
+                if (low === null || high === null || low > high) {
+                    return null;
+                }
+                return [
+                    { key: key, op: '>=', value: low },
+                    { key: key, op: '<=', value: high }
+                ];
+            }
+
+            var match = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+            var number = match ? this.parseQueryNumber(match[2]) : null;
+
+            if (number === null) {
+                return null;
+            }
+
+            // A bare number is a minimum, like the old "at least" dropdowns
+            return [{ key: key, op: match[1] || '>=', value: number }];
+        },
+
+        /**
+         * Parse a query number with an optional k/m suffix ("50k" -> 50000)
+         */
+        parseQueryNumber: function(text) {
+            var match = String(text).match(/^(\d+(?:\.\d+)?)([km])?$/i);
+
+            if (!match) {
+                return null;
+            }
+
+            var multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+            return parseFloat(match[1]) * multiplier;
+        },
+
+        /**
+         * Whether a value satisfies a query condition
+         */
+        matchesQueryCondition: function(value, condition) {
+            switch (condition.op) {
+                case '>':
+                    return value > condition.value;
+                case '>=':
+                    return value >= condition.value;
+                case '<':
+                    return value < condition.value;
+                case '<=':
+                    return value <= condition.value;
+                default:
+                    return value === condition.value;
+            }
+        },
+
+        /**
+         * Whether a parsed query uses anything beyond plain words
+         */
+        hasQuerySyntax: function(query) {
+            return query.conditions.length > 0 ||
+                   query.tags.length > 0 ||
+                   query.authorInclude.length > 0 ||
+                   query.authorExclude.length > 0 ||
+                   query.phrases.length > 0 ||
+                   query.excludeTerms.length > 0 ||
+                   query.errors.length > 0;
+        },
+
+        /**
+         * Get the lowercased text that phrases and excluded words are matched against
+         */
+        getPluginSearchText: function(plugin) {
+            var tags = this.getPluginTags(plugin).map(function(tag) {
+                return tag.label;
+            });
+
+            return [plugin.name || '', plugin.short_description || ''].concat(tags).join(' ').toLowerCase();
+        },
+
+        /**
+         * Mirror a parsed query in the range controls and facet chips
+         */
+        syncQueryControls: function(query) {
+            var previous = this.state.queryControls;
+            var controls = { ranges: [], tags: [], authorInclude: [], authorExclude: [] };
+            var bounds = {};
+            var without = function(list, values) {
+                return list.filter(function(value) {
+                    return values.indexOf(value) === -1;
+                });
+            };
+
+            // Release what the previous query set, so deleting a token also clears its control
+            previous.ranges.forEach(function(key) {
+                this.setRangeValues(key, null, null);
+            }, this);
+            this.state.selectedTags = without(this.state.selectedTags, previous.tags);
+            this.state.authorInclude = without(this.state.authorInclude, previous.authorInclude);
+            this.state.authorExclude = without(this.state.authorExclude, previous.authorExclude);
+
+            query.conditions.forEach(function(condition) {
+                var range = bounds[condition.key] = bounds[condition.key] || { min: null, max: null };
+                if (condition.op !== '<' && condition.op !== '<=') {
+                    range.min = range.min === null ? condition.value : Math.max(range.min, condition.value);
+                }
+                if (condition.op !== '>' && condition.op !== '>=') {
+                    range.max = range.max === null ? condition.value : Math.min(range.max, condition.value);
+                }
+            });
+
+            Object.keys(bounds).forEach(function(key) {
+                this.setRangeValues(key, bounds[key].min, bounds[key].max);
+                controls.ranges.push(key);
+            }, this);
+
+            query.tags.forEach(function(tag) {
+                if (this.state.selectedTags.indexOf(tag) === -1) {
+                    this.state.selectedTags.push(tag);
+                    controls.tags.push(tag);
+                }
+            }, this);
+
+            ['authorInclude', 'authorExclude'].forEach(function(list) {
+                query[list].forEach(function(author) {
+                    var name = this.resolveAuthorName(author);
+                    if (this.state[list].indexOf(name) === -1) {
+                        this.state[list].push(name);
+                        controls[list].push(name);
+                    }
+                }, this);
+            }, this);
+
+            this.state.queryControls = controls;
+            this.renderFacets();
+        },
+
+        /**
+         * Match an author typed in the query to the spelling used by the loaded results
+         */
+        resolveAuthorName: function(author) {
+            var lower = author.toLowerCase();
+            var plugins = this.state.allPlugins || [];
+
+            for (var i = 0; i < plugins.length; i++) {
+                var name = this.getAuthorName(plugins[i]);
+                if (name.toLowerCase() === lower) {
+                    return name;
+                }
+            }
+
+            return author;
+        },
+
+        /**
+         * Show inline help below the filter bar for query tokens that couldn't be read
+         */
+        showQueryHelp: function(errors) {
+            $('.wp-plugin-filters-query-help').remove();
+
+            if (!errors || !errors.length) {
+                return;
+            }
+
+            var items = errors.map(function(error) {
+                return `<li>${this.escapeHtml(error)}</li>`;
+            }, this).join('');
+            var syntax = wpPluginFilters.strings.querySyntax ||
+                'Search syntax: -word, "exact phrase", installs:>50k, rating:>=4, usability:60..90, health:>=70, tag:gdpr, author:"Name", -author:"Name". Filters narrow a keyword search, so include at least one word or "phrase".';
+
+            $('.wp-plugin-filters-inline').first().after(`
+                <div class="wp-plugin-filters-query-help notice notice-warning inline" role="status">
+                    <ul>${items}</ul>
+                    <p>${this.escapeHtml(syntax)}</p>
+                </div>
+            `);
+        },
+
+        /**
+         * Forget the controls set by the last query and hide its help
+         */
+        clearQueryState: function() {
+            this.state.queryControls = { ranges: [], tags: [], authorInclude: [], authorExclude: [] };
+            this.showQueryHelp([]);
+        },
+
+        /**
+         * Get current filter data from form
+         */
+        getCurrentFilterData: function() {
+            // Defensive checks - ensure elements exist before accessing their values
+            var searchTerm = '';
+            if (this.$elements.searchInput && this.$elements.searchInput.length > 0) {
+                searchTerm = this.$elements.searchInput.val() || '';
+            }
+            
+            console.log('[WP Plugin Filters] Search term captured:', searchTerm);
+            console.log('[WP Plugin Filters] Search input element:', this.$elements.searchInput ? this.$elements.searchInput.length : 0);
+            
+            return $.extend({
+                search_term: searchTerm,
+                update_timeframe: (this.$elements.updateTimeframe && this.$elements.updateTimeframe.length) ? this.$elements.updateTimeframe.val() || 'all' : 'all',
+                sort_by: (this.$elements.sortBy && this.$elements.sortBy.length) ? this.$elements.sortBy.val() || '' : '',
+                sort_direction: (this.$elements.sortDirection && this.$elements.sortDirection.length) ? this.$elements.sortDirection.val() || 'desc' : 'desc',
+                sort_by_2: (this.$elements.sortBy2 && this.$elements.sortBy2.length) ? this.$elements.sortBy2.val() || '' : '',
+                sort_direction_2: (this.$elements.sortDirection2 && this.$elements.sortDirection2.length) ? this.$elements.sortDirection2.val() || 'desc' : 'desc',
+                sort_by_3: (this.$elements.sortBy3 && this.$elements.sortBy3.length) ? this.$elements.sortBy3.val() || '' : '',
+                sort_direction_3: (this.$elements.sortDirection3 && this.$elements.sortDirection3.length) ? this.$elements.sortDirection3.val() || 'desc' : 'desc',
+                tags: this.state.selectedTags.slice(),
+                tag_mode: (this.$elements.tagMode && this.$elements.tagMode.length) ? this.$elements.tagMode.val() || 'or' : 'or',
+                author_include: this.state.authorInclude.slice(),
+                author_exclude: this.state.authorExclude.slice(),
+                compatible_only: (this.$elements.compatibleOnly && this.$elements.compatibleOnly.length) ? this.$elements.compatibleOnly.is(':checked') : false,
+                page: 1, // Reset to first page when filters change
+                per_page: 24 // WordPress default
+            }, this.getRangeFilterData());
+        },
+
+        /**
+         * Execute AJAX request with retry logic, resolving with the JSON response
+         */
+        executeAjaxRequest: function(action, data, options) {
+            var self = this;
+            options = options || {};
+            var attempt = options.attempt || 0;
+            var signal = options.signal;
+
+            // Map action to correct nonce
+            var nonceMap = {
+                'wppdfi_filter': 'filter_plugins',
+                'wppdfi_sort': 'sort_plugins',
+                'wppdfi_rating': 'calculate_rating',
+                'wppdfi_clear_cache': 'clear_cache',
+                'wppdfi_shortlist': 'shortlist',
+                'wppdfi_hidden_plugins': 'hidden_plugins',
+                'wppdfi_presets': 'presets'
+            };
+
+            var requestData = $.extend({}, data, {
+                action: action,
+                nonce: wpPluginFilters.nonces[nonceMap[action]] || wpPluginFilters.nonces.filter_plugins
+            });
+
+            return new Promise(function(resolve, reject) {
+                if (signal && signal.aborted) {
+                    reject(self.createAbortError());
+                    return;
+                }
+
+                var jqXHR = $.ajax({
+                    url: wpPluginFilters.ajaxUrl,
+                    method: 'POST',
+                    data: requestData,
+                    dataType: 'json',
+                    timeout: 30000
+                });
+
+                var onAbort = function() {
+                    jqXHR.abort();
+                };
+
+                if (signal) {
+                    signal.addEventListener('abort', onAbort);
+                }
+
+                jqXHR.always(function() {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                });
+
+                jqXHR.done(resolve).fail(function(xhr, status, error) {
+                    if (signal && signal.aborted) {
+                        reject(self.createAbortError());
+                        return;
+                    }
+
+                    console.error('[WP Plugin Filters] AJAX Error:', {
+                        status: xhr.status,
+                        statusText: xhr.statusText,
+                        error: error,
+                        action: action,
+                        attempt: attempt
+                    });
+
+                    var message = (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) ||
+                        (wpPluginFilters.strings.error + ' (Status: ' + xhr.status + ')');
+
+                    if (xhr.status === 405) {
+                        message = 'Method not allowed. Please check plugin configuration.';
+                    } else if (xhr.status === 429) {
+                        message = wpPluginFilters.strings.rateLimit;
+                    }
+
+                    // Only network failures and server errors are worth retrying
+                    var retryable = xhr.status === 0 || xhr.status >= 500;
+
+                    if (retryable && attempt < self.config.maxRetries) {
+                        setTimeout(function() {
+                            self.executeAjaxRequest(action, data, { attempt: attempt + 1, signal: signal }).then(resolve, reject);
+                        }, self.config.retryDelay * Math.pow(2, attempt));
+                        return;
+                    }
+
+                    var ajaxError = new Error(message);
+                    ajaxError.status = xhr.status;
+                    ajaxError.xhr = xhr;
+                    reject(ajaxError);
+                });
+            });
+        },
+
+        /**
+         * Handle filter request errors
+         */
+        handleFilterError: function(xhr, textStatus, errorThrown) {
+            this.hideLoadingState();
+            
+            var errorMessage = wpPluginFilters.strings.error;
+            if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
+                errorMessage = xhr.responseJSON.data.message;
+            }
+            
+            if (xhr.status === 429) {
+                errorMessage = wpPluginFilters.strings.rateLimit;
+            }
+            
+            this.showError(errorMessage);
+        },
+
+        /**
+         * Update plugin grid with filtered results - Match Chrome extension approach
+         */
+        updatePluginGrid: function(data) {
+            var self = this;
+            
+            console.log('[WP Plugin Filters] updatePluginGrid called with:', data);
+            
+            if (!data.plugins || !Array.isArray(data.plugins)) {
+                console.error('[WP Plugin Filters] No plugins array in data:', data);
+                this.showNoResults();
+                return;
+            }
+            
+            console.log('[WP Plugin Filters] Found', data.plugins.length, 'plugins to display');
+            
+            // Debug: Log first plugin data to see what we're getting from direct API
+            if (data.plugins.length > 0) {
+                console.log('[WP Plugin Filters] Sample plugin data from DIRECT API:', {
+                    name: data.plugins[0].name,
+                    slug: data.plugins[0].slug,
+                    icons: data.plugins[0].icons,
+                    hasIconsProperty: data.plugins[0].hasOwnProperty('icons'),
+                    iconType: typeof data.plugins[0].icons,
+                    iconKeys: data.plugins[0].icons ? Object.keys(data.plugins[0].icons) : 'no icons',
+                    icon1x: data.plugins[0].icons?.['1x'],
+                    icon2x: data.plugins[0].icons?.['2x'],
+                    iconSvg: data.plugins[0].icons?.svg,
+                    iconDefault: data.plugins[0].icons?.default,
+                    fullPlugin: data.plugins[0]
+                });
+            }
+            
+            // WordPress admin plugin installer containers
+            var containerSelectors = [
+                '#the-list',
+                '.plugin-browser .plugin-list',
+                '.wp-list-table tbody',
+                '.plugin-browser'
+            ];
+            
+            var $container = null;
+            for (var i = 0; i < containerSelectors.length; i++) {
+                $container = $(containerSelectors[i]).first();
+                if ($container.length) {
+                    console.log('[WP Plugin Filters] Found container with selector:', containerSelectors[i]);
+                    break;
+                }
+            }
+            
+            if (!$container || !$container.length) {
+                console.error('[WP Plugin Filters] Could not find results container. Available elements:', {
+                    blockPostTemplate: $('.wp-block-post-template').length,
+                    pluginCards: $('.plugin-cards').length,
+                    pluginBrowser: $('.plugin-browser').length,
+                    pluginList: $('.plugin-list').length,
+                    wpListTable: $('.wp-list-table').length,
+                    theList: $('#the-list').length
+                });
+                return;
+            }
+            
+            var pluginCards = data.plugins.map(function(plugin) {
+                return self.buildPluginCard(plugin);
+            }).join('');
+            
+            console.log('[WP Plugin Filters] Generated', pluginCards.length, 'characters of HTML');
+            
+            // Add classes to apply filtered styling ONLY when filters are actually applied
+            $('body').addClass('wp-filter-active');
+            $('body').addClass('wp-filter-results-active');
+            
+            console.log('[WP Plugin Filters] Applied filter classes - custom layout now active');
+            
+            // Only apply grid layout via CSS classes - don't force inline styles
+            // This allows CSS to control the layout properly
+            
+            // Replace the content
+            $container.html(pluginCards);
+            
+            // Icons will use browser's native error handling - no custom error handling needed
+            
+            // Cards are already enhanced during build, no need to enhance again
+            
+            // Trigger WordPress events for compatibility
+            $(document).trigger('wp-plugin-install-success');
+            
+            console.log('[WP Plugin Filters] Grid update completed');
+        },
+
+        /**
+         * Update plugin grid with clean results (no filter styling)
+         */
+        updatePluginGridClean: function(data) {
+            var self = this;
+            
+            console.log('[WP Plugin Filters] updatePluginGridClean called with:', data);
+            
+            if (!data.plugins || !Array.isArray(data.plugins)) {
+                console.error('[WP Plugin Filters] No plugins array in clean data:', data);
+                this.showNoResults();
+                return;
+            }
+            
+            console.log('[WP Plugin Filters] Found', data.plugins.length, 'plugins to display cleanly');
+            
+            var containerSelectors = [
+                '#the-list',
+                '.plugin-browser .plugin-list',
+                '.wp-list-table tbody',
+                '.plugin-browser'
+            ];
+            
+            var $container = null;
+            for (var i = 0; i < containerSelectors.length; i++) {
+                $container = $(containerSelectors[i]).first();
+                if ($container.length) {
+                    break;
+                }
+            }
+            
+            if (!$container || !$container.length) {
+                console.error('[WP Plugin Filters] Could not find results container for clean update');
+                return;
+            }
+            
+            // Build clean native WordPress plugin cards (no enhancements), leaving out hidden plugins
+            var pluginCards = data.plugins.filter(function(plugin) {
+                return self.state.showHidden || !self.isHiddenPlugin(plugin.slug);
+            }).map(function(plugin) {
+                return self.buildNativePluginCard(plugin);
+            }).join('');
+            
+            // DO NOT add filter classes for clean results
+            // This maintains the native WordPress layout
+            $('body').removeClass('wp-filter-active wp-filter-results-active');
+            
+            // Replace the content
+            $container.html(pluginCards);
+            
+            // Update results count if available
+            if (data.pagination && data.pagination.total_results) {
+                $('.displaying-num').text(data.pagination.total_results + ' items');
+            }
+            
+            console.log('[WP Plugin Filters] Clean grid update completed - native layout preserved');
+        },
+
+        /**
+         * Build HTML for a native WordPress plugin card (no enhancements)
+         */
+        buildNativePluginCard: function(plugin) {
+            var rating = plugin.rating ? (plugin.rating / 20) : 0; // Convert 0-100 to 0-5
+            var installs = plugin.active_installs || 0;
+            
+            return `
+                <li class="wp-block-post post-${plugin.slug} plugin type-plugin status-publish hentry">
+                    <div class="plugin-card${this.isHiddenPlugin(plugin.slug) ? ' is-hidden-plugin' : ''}" data-slug="${plugin.slug}">
+                        <div class="plugin-card-top">
+                            <div class="name column-name">
+                                <h3>
+                                    <a href="${this.getPluginDetailsUrl(plugin.slug)}" class="thickbox open-plugin-details-modal" aria-label="${this.escapeHtml(plugin.name)} plugin information">
+                                        ${this.escapeHtml(plugin.name)}
+                                        <img class="plugin-icon" 
+                                             src="${this.getIconUrl(plugin)}" 
+                                             alt="${this.escapeHtml(plugin.name)} icon"
+                                             onerror="this.style.display='none'">
+                                    </a>
+                                </h3>
+                            </div>
+                            <div class="action-links">
+                                <ul>
+                                    <li><a class="install-now button" data-slug="${plugin.slug}" href="${this.getInstallUrl(plugin.slug)}" aria-label="Install ${this.escapeHtml(plugin.name)} now">Install Now</a></li>
+                                    <li><a href="${this.getPluginDetailsUrl(plugin.slug)}" class="thickbox open-plugin-details-modal" aria-label="More information about ${this.escapeHtml(plugin.name)}">More Details</a></li>
+                                    <li>${this.buildShortlistToggleHTML(plugin)}</li>
+                                    <li>${this.buildHideToggleHTML(plugin)}</li>
+                                </ul>
+                            </div>
+                            <div class="desc column-description">
+                                <p>${this.escapeHtml(plugin.short_description || '')}</p>
+                                <p class="authors"><cite>By ${plugin.author || 'Unknown'}</cite></p>
+                                ${this.buildCompatibilityBadge(plugin)}
+                            </div>
+                        </div>
+                        <div class="plugin-card-bottom">
+                            <div class="vers column-rating">
+                                <div class="star-rating" aria-label="${rating} out of 5 stars" data-rating="${rating}">
+                                    ${this.createStarRating(rating)}
+                                </div>
+                                <span class="num-ratings">(${plugin.num_ratings || 0})</span>
+                            </div>
+                            <div class="column-updated">
+                                <strong>Last Updated:</strong>
+                                <span title="${plugin.last_updated || 'Unknown'}">${this.formatRelativeTime(plugin.last_updated)}</span>
+                            </div>
+                            <div class="column-downloaded">
+                                ${this.formatInstallCount(installs)} Active Installations
+                            </div>
+                            <div class="column-compatibility">
+                                <span class="compatibility-compatible">
+                                    <strong>Tested up to:</strong> ${plugin.tested || 'Unknown'}
+                                </span>
+                            </div>
+                        </div>
+                    </div>
+                </li>
+            `;
+        },
+
+        /**
+         * Build HTML for a plugin card matching WordPress ADMIN structure
+         */
+        buildPluginCard: function(plugin) {
+            var rating = plugin.rating ? (plugin.rating / 20) : 0; // Convert 0-100 to 0-5
+            var installs = plugin.active_installs || 0;
+            var healthScore = plugin.health_score || this.calculateHealthProxy(plugin);
+            
+            // Calculate usability score from ratings breakdown
+            var usability = this.calculateUsability(plugin);
+            var usabilityColor = this.getUsabilityColor(usability.score);
+            
+            // Get update status with color-coded indicator
+            var updateStatus = this.getUpdateStatus(plugin.last_updated);
+            
+            // Get WordPress compatibility status
+            var wpCompatStatus = this.getWPCompatibilityStatus(plugin.tested);
+            
+            // Best Match score, when the results are ranked by it
+            var bestMatch = this.getSortKeys(this.state.currentFilters || {}).some(function(sortKey) {
+                return sortKey.by === 'best_match';
+            }) ? this.state.bestMatchScores[plugin.slug] : undefined;
+            
+            return `
+                <li class="wp-block-post post-${plugin.slug} plugin type-plugin status-publish hentry">
+                    <div class="plugin-card wp-block-wporg-link-wrapper is-style-no-underline wp-plugin-enhanced${this.isHiddenPlugin(plugin.slug) ? ' is-hidden-plugin' : ''}" data-slug="${plugin.slug}">
+                        <div class="entry">
+                            <header class="entry-header" style="display: flex; align-items: flex-start; gap: 12px; margin-bottom: 16px; position: relative;">
+                                <div class="entry-thumbnail" style="flex-shrink: 0;">
+                                    <img class="plugin-icon" 
+                                         src="${this.getIconUrl(plugin)}" 
+                                         alt="${this.escapeHtml(plugin.name)} icon" 
+                                         style="width: 64px; height: 64px; border-radius: 4px; object-fit: cover;"
+                                         onerror="this.style.display='none'">
+                                </div>
+                                <div style="flex: 1; display: flex; flex-direction: column;">
+                                    <h3 class="entry-title" style="margin: 0 0 8px 0; padding-right: 120px;"><a href="${this.getPluginDetailsUrl(plugin.slug)}" class="thickbox open-plugin-details-modal" aria-label="${this.escapeHtml(plugin.name)} plugin information">${this.escapeHtml(plugin.name)}</a></h3>
+                                    <div class="wp-plugin-card-toggles">
+                                        ${this.buildShortlistToggleHTML(plugin)}
+                                        ${this.buildCompareToggleHTML(plugin)}
+                                        ${this.buildHideToggleHTML(plugin)}
+                                    </div>
+                                </div>
+                                <div class="plugin-card-details-action" style="position: absolute; top: 0; right: 0;">
+                                    <a href="${this.getPluginDetailsUrl(plugin.slug)}" class="thickbox open-plugin-details-modal button" aria-label="More information about ${this.escapeHtml(plugin.name)}">More Details</a>
+                                </div>
+                            </header>
+
+                            <div class="plugin-rating">
+                                <div class="wporg-ratings" aria-label="${rating} out of 5 stars" data-title-template="%s out of 5 stars" data-rating="${rating}" style="color:#ffb900">
+                                    ${this.createStarRating(rating)}
+                                </div>
+                                <span class="rating-count">(${plugin.num_ratings || 0}<span class="screen-reader-text"> total ratings</span>)</span>
+                            </div>
+                            <div class="entry-excerpt">
+                                <p>${this.escapeHtml(plugin.short_description || '')}</p>
+                            </div>
+                            ${this.buildCompatibilityBadge(plugin)}
+                        </div>
+
+                        <footer style="position: relative;">
+                            <div class="plugin-footer-info">
+                                <span class="plugin-author">
+                                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" aria-hidden="true" focusable="false"><path d="M15.5 9.5a1 1 0 100-2 1 1 0 000 2zm0 1.5a2.5 2.5 0 100-5 2.5 2.5 0 000 5zm-2.25 6v-2a2.75 2.75 0 00-2.75-2.75h-4A2.75 2.75 0 003.75 15v2h1.5v-2c0-.69.56-1.25 1.25-1.25h4c.69 0 1.25.56 1.25 1.25v2h1.5zm7-2v2h-1.5v-2c0-.69-.56-1.25-1.25-1.25H15v-1.5h2.5A2.75 2.75 0 0120.25 15zM9.5 8.5a1 1 0 11-2 0 1 1 0 012 0zm1.5 0a2.5 2.5 0 11-5 0 2.5 2.5 0 015 0z" fill-rule="evenodd"></path></svg>
+                                    ${plugin.author || 'Unknown'}
+                                </span>
+                                <span class="active-installs">
+                                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" aria-hidden="true" focusable="false"><path fill-rule="evenodd" d="M11.25 5h1.5v15h-1.5V5zM6 10h1.5v10H6V10zm12 4h-1.5v6H18v-6z" clip-rule="evenodd"></path></svg>
+                                    <span>${this.formatInstallCount(installs)} active installations</span>
+                                </span>
+                                <span class="tested-with ${wpCompatStatus.cssClass}">
+                                    <span style="display: inline-flex; align-items: center; margin-right: 6px;">${wpCompatStatus.icon}</span>
+                                    <span>${wpCompatStatus.text}${wpCompatStatus.label ? ' (' + wpCompatStatus.label + ')' : ''}</span>
+                                </span>
+                                <span class="last-updated ${updateStatus.cssClass}">
+                                    <span style="display: inline-flex; align-items: center; margin-right: 6px;">${updateStatus.icon}</span>
+                                    <span>${updateStatus.text}${updateStatus.label ? ' (' + updateStatus.label + ')' : ''}</span>
+                                </span>
+                                <span class="usability-score usability-${usabilityColor} wp-plugin-score-trigger" data-slug="${plugin.slug}" data-breakdown="usability" role="button" tabindex="0" aria-haspopup="dialog" aria-expanded="false" title="Show how this score is calculated">
+                                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" aria-hidden="true" focusable="false"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"></path></svg>
+                                    <span>Usability Rating: ${usability.score}/100${usability.fewRatings ? ' <em class="usability-few-ratings" title="Too few ratings to outweigh the average rating used as a prior">(few ratings)</em>' : ''}</span>
+                                </span>
+                                <span class="health-score health-${this.getHealthColor(healthScore)} wp-plugin-score-trigger" data-slug="${plugin.slug}" data-breakdown="health" role="button" tabindex="0" aria-haspopup="dialog" aria-expanded="false" title="Show how this score is calculated">
+                                    <span class="health-meter">${this.getHealthPowerMeter(healthScore)}</span>
+                                    <span>Health Score: ${healthScore}/100</span>
+                                </span>
+                                ${typeof bestMatch === 'number' ? `
+                                <span class="best-match-score">
+                                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24" aria-hidden="true" focusable="false"><path d="M12 2a10 10 0 100 20 10 10 0 000-20zm0 2a8 8 0 110 16 8 8 0 010-16zm0 3a5 5 0 100 10 5 5 0 000-10zm0 2a3 3 0 110 6 3 3 0 010-6z"></path></svg>
+                                    <span>Best Match: ${bestMatch}/100</span>
+                                </span>` : ''}
+                            </div>
+                            <div class="plugin-card-install-action" style="position: absolute; bottom: 0; right: 0;">
+                                <a class="install-now button button-primary" data-slug="${plugin.slug}" href="${this.getInstallUrl(plugin.slug)}" aria-label="Install ${this.escapeHtml(plugin.name)} now">Install Now</a>
+                            </div>
+                        </footer>
+                    </div>
+                </li>
+            `;
+        },
+        
+        /**
+         * Get current WordPress version for compatibility
+         */
+        getWPVersion: function() {
+            var site = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.site) ? wpPluginFilters.site : {};
+            if (site.wpVersion) {
+                return site.wpVersion;
+            }
+            return (typeof window.wp !== 'undefined' && window.wp.version) ? window.wp.version : '';
+        },
+
+        /**
+         * Get the latest WordPress release and the security baseline used for compatibility labels
+         */
+        getCoreVersions: function() {
+            var site = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.site) ? wpPluginFilters.site : {};
+            var latest = this.normalizeVersion(site.latestWpVersion) || this.normalizeVersion(this.getWPVersion());
+            var baseline = this.normalizeVersion(site.securityBaseline);
+
+            // Without a configured baseline, the cut-off is a few release branches before the latest (6.8 -> 6.5)
+            if (!baseline && latest) {
+                var parts = this.getVersionBranch(latest).split('.').map(Number);
+                var minor = parts[1] - this.config.securityBaselineBranches;
+                // Branches run from x.0 to x.9 before the next major
+                baseline = minor >= 0 ? parts[0] + '.' + minor : (parts[0] - 1) + '.' + (10 + minor);
+            }
+
+            return {
+                latest: latest,
+                baseline: baseline
+            };
+        },
+
+        /**
+         * Get the major.minor release branch of a version ("6.7.1" -> "6.7")
+         */
+        getVersionBranch: function(version) {
+            var parts = String(version).split('.');
+            return parts[0] + '.' + (parts[1] || '0');
+        },
+
+        /**
+         * Get WordPress compatibility status based on tested version
+         */
+        getWPCompatibilityStatus: function(testedVersion) {
+            // Latest release and security baseline come from the site's core update data and settings
+            var coreVersions = this.getCoreVersions();
+            var currentVersion = coreVersions.latest;
+            var lastCriticalSecurityVersion = coreVersions.baseline;
+            
+            if (!testedVersion) {
+                return {
+                    color: 'red',
+                    icon: '<svg width="16" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="margin-top: -1px;"><circle cx="12" cy="12" r="10" fill="#d63638"/><path d="m8.5 8.5 7 7m0-7-7 7" stroke="white" stroke-width="2" stroke-linecap="round"/></svg>',
+                    cssClass: 'wp-compat-unknown',
+                    text: 'WordPress compatibility unknown',
+                    label: 'Security Risk'
+                };
+            }
+            
+            // Clean version string (remove any extra text)
+            var cleanTested = testedVersion.replace(/[^\d.]/g, '');
+            
+            // Compare release branches - "tested up to 6.7" covers 6.7.1, 6.7.2...
+            var testedBranch = this.getVersionBranch(cleanTested);
+            
+            if (!currentVersion || this.compareVersions(testedBranch, this.getVersionBranch(currentVersion)) >= 0) {
+                // Tested with current or newer version
+                return {
+                    color: 'green',
+                    icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="12" r="10" fill="#00a32a"/><path d="m9 12 2 2 4-4" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+                    cssClass: 'wp-compat-current',
+                    text: 'Tested with WordPress ' + testedVersion,
+                    label: 'Up To Date'
+                };
+            } else if (this.compareVersions(testedBranch, this.getVersionBranch(lastCriticalSecurityVersion)) >= 0) {
+                // Tested with recent version but not current - show yellow for any non-current version
+                return {
+                    color: 'yellow',
+                    icon: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M12 2L2 22h20L12 2z" fill="#f56e28"/><path d="M12 8v4M12 16h.01" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+                    cssClass: 'wp-compat-recent',
+                    text: 'Tested with WordPress ' + testedVersion,
+                    label: 'Outdated'
+                };
+            } else {
+                // Tested with version before critical security updates
+                return {
+                    color: 'red',
+                    icon: '<svg width="16" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="margin-top: -1px;"><circle cx="12" cy="12" r="10" fill="#d63638"/><path d="m8.5 8.5 7 7m0-7-7 7" stroke="white" stroke-width="2" stroke-linecap="round"/></svg>',
+                    cssClass: 'wp-compat-outdated',
+                    text: 'Tested with WordPress ' + testedVersion,
+                    label: 'Security Risk'
+                };
+            }
+        },
+
+        /**
+         * Get the WordPress and PHP versions this site runs
+         */
+        getSiteVersions: function() {
+            var site = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.site) ? wpPluginFilters.site : {};
+
+            return {
+                wp: this.normalizeVersion(site.wpVersion) || this.normalizeVersion(this.getWPVersion()),
+                php: this.normalizeVersion(site.phpVersion)
+            };
+        },
+
+        /**
+         * Reduce a version string such as "6.8-RC1" or "8.1.2-1ubuntu" to its numeric part
+         */
+        normalizeVersion: function(version) {
+            var match = typeof version === 'string' ? version.match(/^\d+(\.\d+)*/) : null;
+            return match ? match[0] : '';
+        },
+
+        /**
+         * List the reasons a plugin can't run on this site (its requires/requires_php exceed the site's versions)
+         */
+        getCompatibilityIssues: function(plugin) {
+            var site = this.getSiteVersions();
+            var requiresWP = this.normalizeVersion(plugin.requires);
+            var requiresPHP = this.normalizeVersion(plugin.requires_php);
+            var issues = [];
+
+            if (requiresWP && site.wp && this.compareVersions(requiresWP, site.wp) > 0) {
+                issues.push({
+                    type: 'wp',
+                    message: `Requires WordPress ${requiresWP} (this site runs ${site.wp})`
+                });
+            }
+
+            if (requiresPHP && site.php && this.compareVersions(requiresPHP, site.php) > 0) {
+                issues.push({
+                    type: 'php',
+                    message: `Requires PHP ${requiresPHP} (this site runs ${site.php})`
+                });
+            }
+
+            return issues;
+        },
+
+        /**
+         * Build the incompatibility badge for a card, or nothing when the plugin can run here
+         */
+        buildCompatibilityBadge: function(plugin) {
+            var issues = this.getCompatibilityIssues(plugin);
+
+            if (!issues.length) {
+                return '';
+            }
+
+            return `
+                <p class="wp-plugin-incompatible-badge">
+                    <span class="dashicons dashicons-warning" aria-hidden="true"></span>
+                    <span>${issues.map((issue) => this.escapeHtml(issue.message)).join('; ')}</span>
+                </p>
+            `;
+        },
+
+        /**
+         * Compare semantic version strings (returns: -1, 0, or 1)
+         */
+        compareVersions: function(version1, version2) {
+            var v1parts = version1.split('.').map(Number);
+            var v2parts = version2.split('.').map(Number);
+            var maxLength = Math.max(v1parts.length, v2parts.length);
+            
+            // Pad arrays to same length
+            while (v1parts.length < maxLength) v1parts.push(0);
+            while (v2parts.length < maxLength) v2parts.push(0);
+            
+            for (var i = 0; i < maxLength; i++) {
+                if (v1parts[i] > v2parts[i]) return 1;
+                if (v1parts[i] < v2parts[i]) return -1;
+            }
+            return 0;
+        },
+
+        /**
+         * Calculate plugin usability score and return detailed breakdown
+         * @param {Object} plugin - plugin data from the directory API
+         * @param {number} globalMean - average rating across all plugins (default from getUsabilityPrior)
+         * @param {number} C - confidence constant (higher = more pull toward global mean for small samples)
+         * @returns {Object} breakdown { avgStars, adjustedAvg, score, total, distribution, components, priorMean, fewRatings }
+         */
+        calculateUsability: function(plugin, globalMean, C) {
+            var ratings = plugin.ratings || {};
+            var numRatings = plugin.num_ratings || 0;
+            var avgStars = 0;
+            var adjustedAvg = 0;
+            var prior = this.getUsabilityPrior();
+            globalMean = globalMean || prior.mean;
+            C = typeof C === 'number' ? C : prior.confidence;
+
+            if (numRatings > 0) {
+                // Weighted average from distribution
+                var weightedSum = 0;
+                for (var i = 1; i <= 5; i++) {
+                    weightedSum += (i * (ratings[i] || 0));
+                }
+                avgStars = weightedSum / numRatings;
+
+                // Bayesian adjustment
+                adjustedAvg = ((C * globalMean) + (numRatings * avgStars)) / (C + numRatings);
+            }
+
+            var components = this.getUsabilityComponents(plugin, adjustedAvg);
+            var blended = this.blendComponents(components, this.getAlgorithmWeights('usability'));
+
+            return {
+                avgStars: Math.round(avgStars * 10) / 10,       // plain average
+                adjustedAvg: Math.round(adjustedAvg * 10) / 10, // smoothed average
+                score: blended === null ? 0 : Math.round(blended * 1000) / 10, // usability score 0-100
+                total: numRatings,
+                distribution: ratings,
+                components: components,
+                priorMean: Math.round(globalMean * 10) / 10,
+                // The prior outweighs the plugin's own ratings
+                fewRatings: numRatings > 0 && numRatings < C
+            };
+        },
+
+        /**
+         * Get the prior mean and confidence used to smooth star ratings
+         */
+        getUsabilityPrior: function() {
+            var configured = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.usabilityPrior) ? wpPluginFilters.usabilityPrior : {};
+            var confidence = parseInt(configured.confidence, 10);
+            var mean = parseFloat(configured.mean);
+
+            return {
+                mean: mean > 0 ? mean : (this.state.usabilityPriorMean || this.config.usabilityPrior.mean),
+                confidence: isNaN(confidence) ? this.config.usabilityPrior.confidence : Math.max(0, confidence)
+            };
+        },
+
+        /**
+         * Average star rating of every rating in the loaded result set, used as the prior mean
+         */
+        updateUsabilityPrior: function() {
+            var stars = 0;
+            var count = 0;
+
+            (this.state.allPlugins || []).forEach(function(plugin) {
+                var ratings = plugin.ratings || {};
+                for (var i = 1; i <= 5; i++) {
+                    var n = parseInt(ratings[i], 10) || 0;
+                    stars += i * n;
+                    count += n;
+                }
+            });
+
+            // Pages appended by infinite scroll keep this mean, so scores already on screen don't change
+            this.state.usabilityPriorMean = count > 0 ? stars / count : null;
+        },
+
+        /**
+         * Score the usability factors 0-1 like WPPDFI_Rating_Calculator, null when the API has no data for one
+         */
+        getUsabilityComponents: function(plugin, adjustedAvg) {
+            var numRatings = plugin.num_ratings || 0;
+            var installs = plugin.active_installs || 0;
+            var support = null;
+
+            if (typeof plugin.support_threads !== 'undefined' && typeof plugin.support_threads_resolved !== 'undefined') {
+                var threads = parseInt(plugin.support_threads, 10) || 0;
+                support = threads === 0 ? 0.5 : this.stepScore((parseInt(plugin.support_threads_resolved, 10) || 0) / threads,
+                    [[0.9, 1.0], [0.8, 0.9], [0.7, 0.8], [0.6, 0.7], [0.5, 0.6], [0.4, 0.5], [0.3, 0.4]], 0.3);
+            }
+
+            return {
+                // The smoothed average keeps a handful of 5-star ratings from beating an established plugin
+                user_rating: numRatings > 0 ? adjustedAvg / 5 : null,
+                rating_count: numRatings > 0 ? this.stepScore(numRatings,
+                    [[1000, 1.0], [500, 0.9], [100, 0.8], [50, 0.7], [20, 0.6], [10, 0.5], [5, 0.4]], 0.3) : null,
+                installation_count: installs > 0 ? this.stepScore(installs,
+                    [[5000000, 1.0], [1000000, 0.95], [500000, 0.9], [100000, 0.8], [50000, 0.7], [10000, 0.6], [5000, 0.5], [1000, 0.4], [100, 0.3]], 0.2) : null,
+                support_responsiveness: support
+            };
+        },
+
+        /**
+         * Score the health factors 0-1 like WPPDFI_Health_Calculator, null when the API has no data for one
+         */
+        getHealthComponents: function(plugin) {
+            var days = this.getDaysSinceUpdate(plugin);
+            var components = {
+                update_frequency: null,
+                wp_compatibility: null,
+                support_response: null,
+                // Days are negated so the step thresholds read "at most N days"
+                time_since_update: days === null ? null : this.stepScore(-days, [[-30, 1.0], [-90, 0.9], [-180, 0.8], [-365, 0.6], [-730, 0.4]], 0.2),
+                reported_issues: 0.6
+            };
+
+            // Update frequency - versioning depth as a proxy for active development, scaled by recency
+            if (plugin.version && days !== null) {
+                var versionParts = String(plugin.version).split('.');
+                var versionScore = versionParts.length >= 3 ? 0.8 : (versionParts.length === 2 ? 0.6 : 0.4);
+                if ((parseInt(versionParts[2], 10) || 0) > 5) {
+                    versionScore += 0.1;
+                }
+                components.update_frequency = Math.min(1, versionScore * this.stepScore(-days, [[-30, 1.0], [-90, 0.9], [-180, 0.7]], 0.5));
+            }
+
+            // WordPress compatibility - how far "tested up to" trails this site's version
+            if (plugin.tested) {
+                var tested = String(plugin.tested).split('.').map(Number);
+                var current = String(this.getWPVersion()).split('.').map(Number);
+                var testedMinor = tested[1] || 0;
+                var currentMinor = current[1] || 0;
+
+                if (tested[0] > current[0] || (tested[0] === current[0] && testedMinor >= currentMinor)) {
+                    components.wp_compatibility = 1.0;
+                } else if (tested[0] === current[0]) {
+                    components.wp_compatibility = this.stepScore(testedMinor - currentMinor, [[-1, 0.9], [-2, 0.8]], 0.6);
+                } else {
+                    components.wp_compatibility = 0.4;
+                }
+            }
+
+            // Support response - resolution rate, nudged by activity and unresolved backlog
+            if (typeof plugin.support_threads !== 'undefined' && typeof plugin.support_threads_resolved !== 'undefined') {
+                var threads = parseInt(plugin.support_threads, 10) || 0;
+                var resolved = parseInt(plugin.support_threads_resolved, 10) || 0;
+                var supportScore = 0.6;
+                if (threads > 0) {
+                    supportScore = resolved / threads;
+                    if (threads >= 10) {
+                        supportScore += 0.1;
+                    }
+                    if (threads - resolved > 20) {
+                        supportScore -= 0.1;
+                    }
+                }
+                components.support_response = Math.max(0, Math.min(1, supportScore));
+            }
+
+            // Reported issues - share of 1 and 2 star ratings
+            var ratings = plugin.ratings || {};
+            var totalRatings = 0;
+            for (var star = 1; star <= 5; star++) {
+                totalRatings += parseInt(ratings[star], 10) || 0;
+            }
+            if (totalRatings > 0) {
+                var lowRatings = (parseInt(ratings[1], 10) || 0) + (parseInt(ratings[2], 10) || 0);
+                var issuesScore = 1 - ((lowRatings / totalRatings) * 1.5);
+                if (lowRatings > 50) {
+                    issuesScore -= 0.1;
+                }
+                components.reported_issues = Math.max(0, Math.min(1, issuesScore));
+            }
+
+            return components;
+        },
+
+        /**
+         * Days since the plugin was last updated, or null when the API didn't say
+         */
+        getDaysSinceUpdate: function(plugin) {
+            if (!plugin.last_updated) {
+                return null;
+            }
+            return Math.floor((new Date() - this.parseWordPressDate(plugin.last_updated)) / (1000 * 60 * 60 * 24));
+        },
+
+        /**
+         * Break a usability or health score down into factor, raw input, points and weight
+         */
+        getScoreBreakdown: function(plugin, algorithm) {
+            var weights = this.getAlgorithmWeights(algorithm);
+            var usability = algorithm === 'usability' ? this.calculateUsability(plugin) : null;
+            var components = usability ? usability.components : this.getHealthComponents(plugin);
+            var inputs = usability ? this.getUsabilityInputs(plugin, usability) : this.getHealthInputs(plugin);
+            var labels = {
+                user_rating: 'User rating',
+                rating_count: 'Number of ratings',
+                installation_count: 'Active installations',
+                support_responsiveness: 'Resolved support threads',
+                update_frequency: 'Update frequency',
+                wp_compatibility: 'WordPress compatibility',
+                support_response: 'Support response',
+                time_since_update: 'Time since last update',
+                reported_issues: 'Low ratings (reported issues)'
+            };
+
+            // Factors without data drop out and the others share their weight, as in blendComponents
+            var countedWeight = 0;
+            Object.keys(components).forEach(function(key) {
+                if (components[key] !== null) {
+                    countedWeight += weights[key] || 0;
+                }
+            });
+
+            return {
+                score: usability ? usability.score : this.calculateHealthProxy(plugin),
+                rows: Object.keys(components).map(function(key) {
+                    var counted = components[key] !== null && countedWeight > 0;
+                    return {
+                        key: key,
+                        label: labels[key] || key,
+                        input: inputs[key],
+                        points: counted ? Math.round((components[key] * (weights[key] || 0) / countedWeight) * 1000) / 10 : null,
+                        weight: weights[key] || 0
+                    };
+                })
+            };
+        },
+
+        /**
+         * Describe the raw API data behind each usability factor
+         */
+        getUsabilityInputs: function(plugin, usability) {
+            var numRatings = plugin.num_ratings || 0;
+
+            return {
+                user_rating: numRatings ? usability.avgStars + '★ average, ' + usability.adjustedAvg + '★ smoothed toward ' + usability.priorMean + '★' : 'No ratings',
+                rating_count: numRatings ? numRatings + ' ratings' : 'No ratings',
+                installation_count: plugin.active_installs ? this.formatInstallCount(plugin.active_installs) + ' installs' : 'No data',
+                support_responsiveness: this.describeSupportThreads(plugin)
+            };
+        },
+
+        /**
+         * Describe the raw API data behind each health factor
+         */
+        getHealthInputs: function(plugin) {
+            var days = this.getDaysSinceUpdate(plugin);
+            var updated = days === null ? '' : (days === 1 ? '1 day ago' : days + ' days ago');
+            var ratings = plugin.ratings || {};
+            var totalRatings = 0;
+            for (var star = 1; star <= 5; star++) {
+                totalRatings += parseInt(ratings[star], 10) || 0;
+            }
+            var lowShare = totalRatings
+                ? Math.round((((parseInt(ratings[1], 10) || 0) + (parseInt(ratings[2], 10) || 0)) / totalRatings) * 100)
+                : null;
+
+            return {
+                update_frequency: plugin.version && updated ? 'Version ' + plugin.version + ', updated ' + updated : 'No data',
+                wp_compatibility: plugin.tested ? 'Tested up to ' + plugin.tested + ', this site runs ' + this.getWPVersion() : 'No data',
+                support_response: this.describeSupportThreads(plugin),
+                time_since_update: updated ? 'Updated ' + updated : 'No data',
+                reported_issues: lowShare === null ? 'No ratings' : lowShare + '% of ratings are 1-2 stars'
+            };
+        },
+
+        /**
+         * Describe a plugin's support thread resolution
+         */
+        describeSupportThreads: function(plugin) {
+            if (typeof plugin.support_threads === 'undefined' || typeof plugin.support_threads_resolved === 'undefined') {
+                return 'No data';
+            }
+            return plugin.support_threads_resolved + ' of ' + plugin.support_threads + ' recent threads resolved';
+        },
+
+        /**
+         * Build the breakdown popover for a card's usability or health badge
+         */
+        buildScoreBreakdownHTML: function(plugin, algorithm, id) {
+            var self = this;
+            var breakdown = this.getScoreBreakdown(plugin, algorithm);
+            var title = algorithm === 'usability' ? 'Usability Rating' : 'Health Score';
+            var usability = algorithm === 'usability' ? this.calculateUsability(plugin) : null;
+            var priorNote = usability && usability.fewRatings
+                ? `<p class="wp-plugin-score-popover-note">With only ${usability.total} ratings, the user rating is pulled mostly toward the ${usability.priorMean}★ average rating.</p>`
+                : '';
+
+            var rows = breakdown.rows.map(function(row) {
+                return `
+                    <tr${row.points === null ? ' class="is-missing"' : ''}>
+                        <th scope="row">${self.escapeHtml(row.label)}</th>
+                        <td>${self.escapeHtml(row.input)}</td>
+                        <td>${row.points === null ? '–' : row.points}</td>
+                        <td>${row.weight}%</td>
+                    </tr>
+                `;
+            }).join('');
+
+            return `
+                <div class="wp-plugin-score-popover" id="${id}" role="dialog" aria-label="${title} breakdown" tabindex="-1">
+                    <p class="wp-plugin-score-popover-title"><strong>${title}: ${breakdown.score}/100</strong></p>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th scope="col">Factor</th>
+                                <th scope="col">Input</th>
+                                <th scope="col">Points</th>
+                                <th scope="col">Weight</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    ${priorNote}
+                    <p class="wp-plugin-score-popover-note">Factors without data are left out and the remaining weights count proportionally more.</p>
+                </div>
+            `;
+        },
+
+        /**
+         * Open or close the breakdown popover of a score badge
+         */
+        toggleScoreBreakdown: function($trigger) {
+            var wasOpen = $trigger.attr('aria-expanded') === 'true';
+
+            this.closeScoreBreakdown(false);
+
+            if (wasOpen) {
+                return;
+            }
+
+            var slug = String($trigger.attr('data-slug'));
+            var algorithm = $trigger.attr('data-breakdown');
+            var plugin = this.findLoadedPlugin(slug);
+
+            if (!plugin) {
+                return;
+            }
+
+            var id = 'wppdfi-breakdown-' + slug + '-' + algorithm;
+            var $popover = $(this.buildScoreBreakdownHTML(plugin, algorithm, id));
+
+            $trigger.attr({ 'aria-expanded': 'true', 'aria-controls': id });
+            $trigger.closest('footer').append($popover);
+            $popover.trigger('focus');
+        },
+
+        /**
+         * Close any open breakdown popover, optionally returning focus to its badge
+         */
+        closeScoreBreakdown: function(returnFocus) {
+            var $open = $('.wp-plugin-score-trigger[aria-expanded="true"]');
+
+            $('.wp-plugin-score-popover').remove();
+            $open.attr('aria-expanded', 'false').removeAttr('aria-controls');
+
+            if (returnFocus) {
+                $open.first().trigger('focus');
+            }
+        },
+
+        /**
+         * Find a plugin from the loaded results by slug
+         */
+        findLoadedPlugin: function(slug) {
+            var plugins = this.state.allPlugins || [];
+
+            for (var i = 0; i < plugins.length; i++) {
+                if (plugins[i].slug === slug) {
+                    return plugins[i];
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Build the shortlist button and its export/import links for the filter bar
+         */
+        buildShortlistControlsHTML: function() {
+            return `
+                <span class="wp-plugin-filters-shortlist">
+                    <button type="button" id="wp-plugin-shortlist-view" class="button">
+                        <span class="dashicons dashicons-star-filled" aria-hidden="true"></span>
+                        Shortlist <span class="wp-plugin-shortlist-count">(${this.getShortlist().length})</span>
+                    </button>
+                    <button type="button" class="button-link wp-plugin-shortlist-export">Export</button>
+                    <button type="button" class="button-link wp-plugin-shortlist-import">Import</button>
+                    <input type="file" class="wp-plugin-shortlist-file" accept="application/json,.json" hidden>
+                </span>
+            `;
+        },
+
+        /**
+         * Build the star toggle that adds a plugin card to the shortlist
+         */
+        buildShortlistToggleHTML: function(plugin) {
+            var shortlisted = this.isShortlisted(plugin.slug);
+            var name = this.escapeHtml(plugin.name);
+            var label = this.getShortlistLabel(name, shortlisted);
+
+            return `
+                <button type="button" class="button-link wp-plugin-shortlist-toggle${shortlisted ? ' is-shortlisted' : ''}" data-slug="${plugin.slug}" data-name="${name}" aria-pressed="${shortlisted}" aria-label="${label}" title="${label}">
+                    <span class="dashicons dashicons-star-${shortlisted ? 'filled' : 'empty'}" aria-hidden="true"></span>
+                </button>
+            `;
+        },
+
+        /**
+         * Label of a star toggle for its current state
+         */
+        getShortlistLabel: function(name, shortlisted) {
+            return shortlisted ? 'Remove ' + name + ' from shortlist' : 'Add ' + name + ' to shortlist';
+        },
+
+        /**
+         * Get the slugs in the user's shortlist
+         */
+        getShortlist: function() {
+            if (!this.state.shortlist) {
+                var saved = (typeof wpPluginFilters !== 'undefined' && Array.isArray(wpPluginFilters.shortlist)) ? wpPluginFilters.shortlist : [];
+                this.state.shortlist = saved.slice();
+            }
+            return this.state.shortlist;
+        },
+
+        /**
+         * Check whether a plugin is shortlisted
+         */
+        isShortlisted: function(slug) {
+            return this.getShortlist().indexOf(slug) !== -1;
+        },
+
+        /**
+         * Star or unstar a plugin, saving the change to the user's shortlist
+         */
+        toggleShortlist: function(slug) {
+            var self = this;
+            var previous = this.getShortlist().slice();
+            var operation = this.isShortlisted(slug) ? 'remove' : 'add';
+
+            // Update the stars right away, the server has the final word
+            this.setShortlist(operation === 'add' ? previous.concat([slug]) : previous.filter(function(item) {
+                return item !== slug;
+            }));
+
+            this.executeAjaxRequest('wppdfi_shortlist', { operation: operation, slug: slug })
+                .then(function(response) {
+                    if (response && response.success && response.data) {
+                        self.setShortlist(response.data.slugs || []);
+                    }
+                })
+                .catch(function(error) {
+                    self.setShortlist(previous);
+                    self.showError(error.message);
+                });
+        },
+
+        /**
+         * Replace the shortlist and refresh every star and the shortlist count
+         */
+        setShortlist: function(slugs) {
+            var self = this;
+
+            this.state.shortlist = slugs.slice();
+            $('.wp-plugin-shortlist-count').text('(' + slugs.length + ')');
+
+            $('.wp-plugin-shortlist-toggle').each(function() {
+                var $toggle = $(this);
+                var shortlisted = self.isShortlisted(String($toggle.data('slug')));
+                var label = self.getShortlistLabel($toggle.attr('data-name'), shortlisted);
+
+                $toggle.toggleClass('is-shortlisted', shortlisted)
+                    .attr({ 'aria-pressed': String(shortlisted), 'aria-label': label, title: label });
+                $toggle.find('.dashicons')
+                    .toggleClass('dashicons-star-filled', shortlisted)
+                    .toggleClass('dashicons-star-empty', !shortlisted);
+            });
+        },
+
+        /**
+         * Fetch the shortlisted plugins and show them with the filtered layout and current scores
+         */
+        showShortlist: function() {
+            var slugs = this.getShortlist();
+
+            this.refreshElementCache();
+
+            if (!slugs.length) {
+                this.showNotice(wpPluginFilters.strings.shortlistEmpty || 'Your shortlist is empty. Star plugins to add them.', 'warning');
+                return;
+            }
+
+            // Filters and sort order still apply, the search term does not
+            this.state.currentFilters = $.extend(this.getCurrentFilterData(), { search_term: '', shortlist: true });
+            this.state.resultsMode = null;
+
+            var request = this.beginRequest();
+            this.showLoadingState();
+
+            this.fetchShortlistPlugins(slugs, request.signal)
+                .then(function(response) {
+                    if (this.isCurrentRequest(request)) {
+                        this.handleDirectAPISuccess(response);
+                    }
+                }.bind(this))
+                .catch(function(error) {
+                    if (this.isCurrentRequest(request) && !this.isAbortError(error)) {
+                        this.handleDirectAPIError(error);
+                    }
+                }.bind(this));
+        },
+
+        /**
+         * Fetch the current data of the shortlisted plugins, falling back to the other request mode on failure
+         */
+        fetchShortlistPlugins: function(slugs, signal) {
+            var self = this;
+
+            if (this.isFixtureMode()) {
+                // The fixture is small enough to fit on one page
+                return this.fetchPluginDataFromFixture('', 1).then(function(response) {
+                    var plugins = slugs.map(function(slug) {
+                        return response.plugins.filter(function(plugin) {
+                            return plugin.slug === slug;
+                        })[0];
+                    }).filter(Boolean);
+
+                    return { plugins: plugins, pagination: { page: 1, pages: 1, total_results: plugins.length } };
+                });
+            }
+
+            var mode = this.getRequestMode();
+            var fetchMode = function(requestMode) {
+                return requestMode === 'proxied'
+                    ? self.executeAjaxRequest('wppdfi_shortlist', { operation: 'details' }, { signal: signal }).then(function(response) {
+                        var rateLimited = (response && response.data && response.data.rate_limited) || [];
+                        if (rateLimited.length) {
+                            self.showNotice((wpPluginFilters.strings.shortlistRateLimited || '%d shortlisted plugins could not be loaded because of the WordPress.org rate limit. Try again in a minute.').replace('%d', rateLimited.length), 'warning');
+                        }
+                        return self.normalizeProxyResponse(response);
+                    })
+                    : self.fetchShortlistFromAPI(slugs, signal);
+            };
+
+            return fetchMode(mode).catch(function(error) {
+                if (error.status === 429 || self.isAbortError(error)) {
+                    throw error;
+                }
+
+                var fallbackMode = mode === 'proxied' ? 'direct' : 'proxied';
+                console.warn('[WP Plugin Filters] Shortlist ' + mode + ' request failed, falling back to ' + fallbackMode + ' mode:', error);
+
+                return fetchMode(fallbackMode).then(function(result) {
+                    self.rememberRequestMode(fallbackMode);
+                    return result;
+                });
+            });
+        },
+
+        /**
+         * Fetch each shortlisted plugin from the directory API's plugin_information action
+         */
+        fetchShortlistFromAPI: function(slugs, signal) {
+            var self = this;
+            var fields = ['short_description', 'icons', 'ratings', 'active_installs', 'last_updated', 'tested', 'requires', 'requires_php',
+                'tags', 'support_threads', 'support_threads_resolved'].map(function(field) {
+                return '&request[fields][' + field + ']=true';
+            }).join('') + '&request[fields][sections]=false&request[fields][description]=false';
+
+            var fetchPlugin = function(slug) {
+                var apiUrl = self.getApiBaseUrl() + '?action=plugin_information&request[slug]=' + encodeURIComponent(slug) + fields;
+
+                return self.fetchWithRetry(apiUrl, {
+                    method: 'GET',
+                    headers: {
+                        'Accept': 'application/json'
+                    },
+                    signal: signal || undefined
+                })
+                .then(function(response) {
+                    return response.json();
+                })
+                .catch(function(error) {
+                    // Plugins closed or removed from the directory are skipped
+                    if (error.status === 404) {
+                        return null;
+                    }
+                    throw error;
+                });
+            };
+
+            // One batch after another - any other error, a 429 included, stops the remaining batches
+            var fetchBatch = function(index, plugins) {
+                if (index >= slugs.length) {
+                    return Promise.resolve(plugins);
+                }
+
+                return Promise.all(slugs.slice(index, index + self.config.shortlistBatchSize).map(fetchPlugin))
+                    .then(function(results) {
+                        return fetchBatch(index + self.config.shortlistBatchSize, plugins.concat(results.filter(function(plugin) {
+                            return plugin && plugin.slug;
+                        })));
+                    });
+            };
+
+            return fetchBatch(0, []).then(function(plugins) {
+                return { plugins: plugins, pagination: { page: 1, pages: 1, total_results: plugins.length } };
+            });
+        },
+
+        /**
+         * Download the shortlist as a JSON file
+         */
+        exportShortlist: function() {
+            var data = {
+                type: 'wppdfi-shortlist',
+                version: 1,
+                site: window.location.hostname,
+                exported: new Date().toISOString(),
+                plugins: this.getShortlist()
+            };
+            var blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            var url = URL.createObjectURL(blob);
+            var link = document.createElement('a');
+
+            link.href = url;
+            link.download = 'plugin-shortlist.json';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(function() {
+                URL.revokeObjectURL(url);
+            }, 0);
+        },
+
+        /**
+         * Add the plugins of an exported shortlist file to the user's shortlist
+         */
+        importShortlist: function(file) {
+            var self = this;
+            var reader = new FileReader();
+
+            reader.onload = function() {
+                var slugs = null;
+
+                try {
+                    var data = JSON.parse(reader.result);
+                    // Accept our export format or a plain array of slugs
+                    slugs = Array.isArray(data) ? data : (data && Array.isArray(data.plugins) ? data.plugins : null);
+                } catch (e) {
+                    slugs = null;
+                }
+
+                if (!slugs) {
+                    self.showError(wpPluginFilters.strings.shortlistInvalid || 'The shortlist file could not be read.');
+                    return;
+                }
+
+                var before = self.getShortlist().length;
+
+                self.executeAjaxRequest('wppdfi_shortlist', { operation: 'import', slugs: JSON.stringify(slugs) })
+                    .then(function(response) {
+                        if (!response || !response.success || !response.data) {
+                            throw new Error((response && response.data && response.data.message) || 'Invalid shortlist response');
+                        }
+                        self.setShortlist(response.data.slugs || []);
+                        self.showNotice(
+                            (wpPluginFilters.strings.shortlistImported || 'Added %d plugins to your shortlist.').replace('%d', self.getShortlist().length - before),
+                            'success'
+                        );
+                    })
+                    .catch(function(error) {
+                        self.showError(error.message);
+                    });
+            };
+
+            reader.onerror = function() {
+                self.showError(wpPluginFilters.strings.shortlistInvalid || 'The shortlist file could not be read.');
+            };
+
+            reader.readAsText(file);
+        },
+
+        /**
+         * Show a short-lived notice below the filter bar
+         */
+        showNotice: function(message, type) {
+            var $notice = $(`
+                <div class="notice notice-${type} wp-plugin-filters-notice">
+                    <p>${this.escapeHtml(message)}</p>
+                </div>
+            `);
+
+            $('.wp-plugin-filters-notice').remove();
+            $('.wp-plugin-filters-controls').after($notice);
+
+            setTimeout(function() {
+                $notice.fadeOut(300, function() { $(this).remove(); });
+            }, 5000);
+        },
+
+        /**
+         * Build the Hide / Unhide action of a plugin card
+         */
+        buildHideToggleHTML: function(plugin) {
+            var hidden = this.isHiddenPlugin(plugin.slug);
+            var name = this.escapeHtml(plugin.name);
+
+            return `
+                <button type="button" class="button-link wp-plugin-hide-toggle" data-slug="${plugin.slug}" aria-label="${hidden ? 'Unhide' : 'Hide'} ${name} in search results">${hidden ? 'Unhide' : 'Hide'}</button>
+            `;
+        },
+
+        /**
+         * Get the slugs of the plugins the user hid from search results
+         */
+        getHiddenPlugins: function() {
+            if (!this.state.hiddenPlugins) {
+                var saved = (typeof wpPluginFilters !== 'undefined' && Array.isArray(wpPluginFilters.hiddenPlugins)) ? wpPluginFilters.hiddenPlugins : [];
+                this.state.hiddenPlugins = saved.slice();
+            }
+            return this.state.hiddenPlugins;
+        },
+
+        /**
+         * Check whether the user hid a plugin
+         */
+        isHiddenPlugin: function(slug) {
+            return this.getHiddenPlugins().indexOf(slug) !== -1;
+        },
+
+        /**
+         * Hide or unhide a plugin, saving the change to the user's hidden plugins
+         */
+        setPluginHidden: function(slug, hidden) {
+            var self = this;
+            var previous = this.getHiddenPlugins().slice();
+
+            // Update the results right away, the server has the final word
+            this.setHiddenPlugins(hidden ? previous.concat([slug]) : previous.filter(function(item) {
+                return item !== slug;
+            }));
+
+            this.executeAjaxRequest('wppdfi_hidden_plugins', { operation: hidden ? 'add' : 'remove', slug: slug })
+                .then(function(response) {
+                    if (response && response.success && response.data) {
+                        self.setHiddenPlugins(response.data.slugs || []);
+                    }
+                })
+                .catch(function(error) {
+                    self.setHiddenPlugins(previous);
+                    self.showError(error.message);
+                });
+        },
+
+        /**
+         * Unhide every plugin
+         */
+        clearHiddenPlugins: function() {
+            var self = this;
+            var previous = this.getHiddenPlugins().slice();
+
+            this.setHiddenPlugins([]);
+
+            this.executeAjaxRequest('wppdfi_hidden_plugins', { operation: 'clear' })
+                .catch(function(error) {
+                    self.setHiddenPlugins(previous);
+                    self.showError(error.message);
+                });
+        },
+
+        /**
+         * Replace the hidden plugins and re-render the results without them
+         */
+        setHiddenPlugins: function(slugs) {
+            var changed = slugs.join(',') !== this.getHiddenPlugins().join(',');
+
+            this.state.hiddenPlugins = slugs.slice();
+
+            if (changed) {
+                this.rerenderResults();
+            }
+        },
+
+        /**
+         * Render the loaded results again, keeping the current page
+         */
+        rerenderResults: function() {
+            if (this.state.resultsMode === 'filtered') {
+                this.renderFilteredResults(true);
+            } else if (this.state.resultsMode === 'clean') {
+                this.updatePluginGridClean({ plugins: this.state.allPlugins });
+            }
+
+            this.updateHiddenControls();
+        },
+
+        /**
+         * Update the "N hidden - show" toggle and the list of hidden plugins
+         */
+        updateHiddenControls: function() {
+            var self = this;
+            var total = this.getHiddenPlugins().length;
+            var inResults = (this.state.allPlugins || []).filter(function(plugin) {
+                return self.isHiddenPlugin(plugin.slug);
+            }).length;
+
+            $('.wp-plugin-filters-hidden').prop('hidden', !total);
+            $('.wp-plugin-filters-hidden-summary').text(
+                inResults ? inResults + ' hidden \u2014' : total + (total === 1 ? ' plugin' : ' plugins') + ' hidden'
+            );
+            $('.wp-plugin-hidden-show')
+                .prop('hidden', !inResults)
+                .attr('aria-pressed', String(this.state.showHidden))
+                .text(this.state.showHidden ? 'hide again' : 'show');
+
+            if (!total) {
+                $('.wp-plugin-hidden-manage').attr('aria-expanded', 'false');
+                $('#wp-plugin-hidden-list').prop('hidden', true);
+            }
+
+            this.renderHiddenList();
+        },
+
+        /**
+         * Render the list of hidden plugins, each with an Unhide action
+         */
+        renderHiddenList: function() {
+            var self = this;
+            var $list = $('#wp-plugin-hidden-list');
+
+            if (!$list.length || $list.prop('hidden')) {
+                return;
+            }
+
+            var items = this.getHiddenPlugins().map(function(slug) {
+                var plugin = self.findLoadedPlugin(slug);
+                return `
+                    <li>
+                        <span>${self.escapeHtml(plugin ? plugin.name : slug)}</span>
+                        ${self.buildHideToggleHTML(plugin || { slug: slug, name: slug })}
+                    </li>
+                `;
+            }).join('');
+
+            $list.html(`
+                <ul>${items}</ul>
+                <button type="button" class="button-link wp-plugin-hidden-clear">Unhide all</button>
+            `);
+        },
+
+        /**
+         * Build the preset picker and the form that saves the current filters as a preset
+         */
+        buildPresetControlsHTML: function() {
+            var canPublish = typeof wpPluginFilters !== 'undefined' && wpPluginFilters.canPublishPresets;
+
+            return `
+                <span class="wp-plugin-filters-presets">
+                    <select id="wp-plugin-filter-preset" aria-label="Filter presets">
+                        ${this.buildPresetOptionsHTML()}
+                    </select>
+                    <button type="button" class="button-link wp-plugin-preset-save" aria-expanded="false" aria-controls="wp-plugin-preset-form">Save preset</button>
+                    <button type="button" class="button-link wp-plugin-preset-delete" hidden>Delete preset</button>
+                    <span id="wp-plugin-preset-form" class="wp-plugin-filters-preset-form" hidden>
+                        <input type="text" class="wp-plugin-preset-name" maxlength="60" placeholder="Preset name" aria-label="Preset name">
+                        ${canPublish ? `
+                            <label class="wp-plugin-filters-checkbox">
+                                <input type="checkbox" class="wp-plugin-preset-site" value="1">
+                                Share with all users
+                            </label>
+                        ` : ''}
+                        <button type="button" class="button wp-plugin-preset-confirm">Save</button>
+                        <button type="button" class="button-link wp-plugin-preset-cancel">Cancel</button>
+                    </span>
+                </span>
+            `;
+        },
+
+        /**
+         * Build the preset options, the user's own presets first and then the site-wide ones
+         */
+        buildPresetOptionsHTML: function() {
+            var self = this;
+            var presets = this.getPresets();
+            var groups = { user: 'My presets', site: 'Site presets' };
+
+            return '<option value="">Presets</option>' + Object.keys(groups).map(function(scope) {
+                if (!presets[scope].length) {
+                    return '';
+                }
+
+                var options = presets[scope].map(function(preset, index) {
+                    return `<option value="${scope}:${index}">${self.escapeHtml(preset.name)}</option>`;
+                }).join('');
+
+                return `<optgroup label="${groups[scope]}">${options}</optgroup>`;
+            }).join('');
+        },
+
+        /**
+         * Get the user's presets and the site-wide presets
+         */
+        getPresets: function() {
+            if (!this.state.presets) {
+                var saved = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.presets) ? wpPluginFilters.presets : {};
+                this.setPresetState(saved);
+            }
+            return this.state.presets;
+        },
+
+        /**
+         * Store presets as returned by the server
+         */
+        setPresetState: function(presets) {
+            this.state.presets = {
+                user: Array.isArray(presets.user) ? presets.user.slice() : [],
+                site: Array.isArray(presets.site) ? presets.site.slice() : []
+            };
+        },
+
+        /**
+         * Find the preset behind a picker value such as "user:0"
+         */
+        findPreset: function(value) {
+            var parts = String(value).split(':');
+            var presets = this.getPresets()[parts[0]];
+            var preset = presets ? presets[parseInt(parts[1], 10)] : null;
+
+            return preset ? { scope: parts[0], name: preset.name, filters: preset.filters || {} } : null;
+        },
+
+        /**
+         * Get the filter bar state a preset saves - everything but the search term and paging
+         */
+        getPresetFilterData: function() {
+            var filters = this.getCurrentFilterData();
+
+            delete filters.search_term;
+            delete filters.page;
+            delete filters.per_page;
+
+            return filters;
+        },
+
+        /**
+         * Set the filter bar controls from filter data, the reverse of getCurrentFilterData
+         */
+        setFilterControlValues: function(filterData) {
+            var self = this;
+
+            this.refreshElementCache();
+
+            this.setSelectValue(this.$elements.updateTimeframe, filterData.update_timeframe, 'all');
+            if (this.$elements.compatibleOnly && this.$elements.compatibleOnly.length) {
+                this.$elements.compatibleOnly.prop('checked', !!filterData.compatible_only);
+            }
+
+            ['', '_2', '_3'].forEach(function(suffix) {
+                var $sort = self.$elements['sortBy' + suffix.replace('_', '')];
+                var $direction = self.$elements['sortDirection' + suffix.replace('_', '')];
+
+                self.setSelectValue($sort, filterData['sort_by' + suffix], '');
+                if ($direction && $direction.length) {
+                    self.setSortDirection($direction, filterData['sort_direction' + suffix] === 'asc' ? 'asc' : 'desc');
+                }
+            });
+            this.updateSortRows();
+
+            Object.keys(this.config.rangeFilters).forEach(function(key) {
+                self.setRangeValues(key, filterData[key + '_min'], filterData[key + '_max']);
+            });
+
+            this.clearFacetSelections();
+            this.state.selectedTags = (filterData.tags || []).slice();
+            this.state.authorInclude = (filterData.author_include || []).slice();
+            this.state.authorExclude = (filterData.author_exclude || []).slice();
+            if (this.$elements.tagMode && this.$elements.tagMode.length) {
+                this.$elements.tagMode.val(filterData.tag_mode === 'and' ? 'and' : 'or');
+            }
+            this.renderFacets();
+        },
+
+        /**
+         * Select a value only when the select offers it, otherwise the fallback
+         */
+        setSelectValue: function($select, value, fallback) {
+            if (!$select || !$select.length) {
+                return;
+            }
+
+            var exists = value && $select.find('option').filter(function() {
+                return this.value === String(value);
+            }).length;
+
+            $select.val(exists ? String(value) : fallback);
+        },
+
+        /**
+         * Set the filter bar to a preset and re-apply the filters when there is something to filter
+         */
+        applyPreset: function(value) {
+            var preset = this.findPreset(value);
+
+            this.updatePresetControls();
+
+            if (!preset) {
+                return;
+            }
+
+            this.setFilterControlValues(preset.filters);
+
+            // Without a search the preset waits for the next one
+            var searchTerm = this.$elements.searchInput.length ? this.$elements.searchInput.val() || '' : '';
+            if (searchTerm.trim() !== '' || (this.state.resultsMode === 'filtered' && this.state.currentFilters.shortlist)) {
+                this.applyFilters();
+            }
+        },
+
+        /**
+         * Open or close the form that names a new preset
+         */
+        togglePresetForm: function(open) {
+            var preset = this.findPreset($('#wp-plugin-filter-preset').val() || '');
+
+            $('.wp-plugin-preset-save').attr('aria-expanded', String(open));
+            $('#wp-plugin-preset-form').prop('hidden', !open);
+
+            if (open) {
+                // Start from the selected preset so it is easy to update
+                $('.wp-plugin-preset-name').val(preset ? preset.name : '').trigger('focus');
+                $('.wp-plugin-preset-site').prop('checked', !!preset && preset.scope === 'site');
+            }
+        },
+
+        /**
+         * Save the current filters under the name typed into the preset form
+         */
+        savePreset: function() {
+            var self = this;
+            var name = ($('.wp-plugin-preset-name').val() || '').trim();
+            var scope = $('.wp-plugin-preset-site').is(':checked') ? 'site' : 'user';
+
+            if (!name) {
+                this.showNotice(wpPluginFilters.strings.presetNameRequired || 'Please give the preset a name.', 'warning');
+                return;
+            }
+
+            this.executeAjaxRequest('wppdfi_presets', {
+                operation: 'save',
+                scope: scope,
+                name: name,
+                filters: JSON.stringify(this.getPresetFilterData())
+            })
+                .then(function(response) {
+                    if (!response || !response.success || !response.data) {
+                        throw new Error((response && response.data && response.data.message) || 'Invalid preset response');
+                    }
+                    self.setPresets(response.data.presets, scope, name);
+                    self.togglePresetForm(false);
+                    self.showNotice((wpPluginFilters.strings.presetSaved || 'Saved the preset “%s”.').replace('%s', name), 'success');
+                })
+                .catch(function(error) {
+                    self.showError(error.message);
+                });
+        },
+
+        /**
+         * Delete the preset behind a picker value
+         */
+        deletePreset: function(value) {
+            var self = this;
+            var preset = this.findPreset(value);
+
+            if (!preset || !window.confirm((wpPluginFilters.strings.presetDeleteConfirm || 'Delete the preset “%s”?').replace('%s', preset.name))) {
+                return;
+            }
+
+            this.executeAjaxRequest('wppdfi_presets', { operation: 'delete', scope: preset.scope, name: preset.name })
+                .then(function(response) {
+                    if (!response || !response.success || !response.data) {
+                        throw new Error((response && response.data && response.data.message) || 'Invalid preset response');
+                    }
+                    self.setPresets(response.data.presets);
+                })
+                .catch(function(error) {
+                    self.showError(error.message);
+                });
+        },
+
+        /**
+         * Replace the presets and rebuild the picker, selecting the named preset if given
+         */
+        setPresets: function(presets, scope, name) {
+            var $picker = $('#wp-plugin-filter-preset');
+
+            this.setPresetState(presets || {});
+            $picker.html(this.buildPresetOptionsHTML());
+
+            var index = scope ? this.getPresets()[scope].map(function(preset) {
+                return preset.name;
+            }).indexOf(name) : -1;
+            $picker.val(index !== -1 ? scope + ':' + index : '');
+
+            this.updatePresetControls();
+        },
+
+        /**
+         * Offer Delete only for a selected preset the user is allowed to change
+         */
+        updatePresetControls: function() {
+            var preset = this.findPreset($('#wp-plugin-filter-preset').val() || '');
+            var canDelete = !!preset && (preset.scope === 'user' || !!wpPluginFilters.canPublishPresets);
+
+            $('.wp-plugin-preset-delete').prop('hidden', !canDelete);
+        },
+
+        /**
+         * Build the "Compare" checkbox of a plugin card
+         */
+        buildCompareToggleHTML: function(plugin) {
+            var selected = this.isInCompare(plugin.slug);
+            var full = this.getCompareList().length >= this.config.maxCompare;
+
+            return `
+                <label class="wp-plugin-compare-toggle">
+                    <input type="checkbox" class="wp-plugin-compare-checkbox" data-slug="${plugin.slug}"${selected ? ' checked' : ''}${!selected && full ? ' disabled' : ''}>
+                    Compare
+                </label>
+            `;
+        },
+
+        /**
+         * Get the plugins in the compare tray, as saved in this browser
+         */
+        getCompareList: function() {
+            if (this.state.compare) {
+                return this.state.compare;
+            }
+
+            var list = [];
+
+            try {
+                var saved = JSON.parse(window.localStorage.getItem(this.config.compareKey) || '[]');
+                if (Array.isArray(saved)) {
+                    list = saved.filter(function(plugin) {
+                        return plugin && plugin.slug;
+                    }).slice(0, this.config.maxCompare);
+                }
+            } catch (e) {
+                // Storage unavailable or corrupt - start with an empty tray
+            }
+
+            this.state.compare = list;
+            return list;
+        },
+
+        /**
+         * Remember the compare tray in this browser
+         */
+        saveCompareList: function(list) {
+            this.state.compare = list;
+
+            try {
+                window.localStorage.setItem(this.config.compareKey, JSON.stringify(list));
+            } catch (e) {
+                console.warn('[WP Plugin Filters] Could not save the compare tray:', e);
+            }
+        },
+
+        /**
+         * Check whether a plugin is in the compare tray
+         */
+        isInCompare: function(slug) {
+            return this.getCompareList().some(function(plugin) {
+                return plugin.slug === slug;
+            });
+        },
+
+        /**
+         * Add a loaded plugin to the compare tray, or take one out
+         */
+        toggleCompare: function(slug, selected) {
+            var list = this.getCompareList().filter(function(plugin) {
+                return plugin.slug !== slug;
+            });
+
+            if (selected) {
+                var plugin = this.findLoadedPlugin(slug);
+                if (!plugin || list.length >= this.config.maxCompare) {
+                    this.updateCompareCheckboxes();
+                    return;
+                }
+
+                var snapshot = {};
+                this.config.compareFields.forEach(function(field) {
+                    if (typeof plugin[field] !== 'undefined') {
+                        snapshot[field] = plugin[field];
+                    }
+                });
+                list.push(snapshot);
+            }
+
+            this.saveCompareList(list);
+            this.renderCompareTray();
+            this.updateCompareCheckboxes();
+        },
+
+        /**
+         * Empty the compare tray
+         */
+        clearCompare: function() {
+            this.saveCompareList([]);
+            this.closeComparison();
+            this.renderCompareTray();
+            this.updateCompareCheckboxes();
+        },
+
+        /**
+         * Sync the card checkboxes with the tray, disabling the rest once it is full
+         */
+        updateCompareCheckboxes: function() {
+            var self = this;
+            var full = this.getCompareList().length >= this.config.maxCompare;
+
+            $('.wp-plugin-compare-checkbox').each(function() {
+                var selected = self.isInCompare(String($(this).data('slug')));
+                $(this).prop('checked', selected).prop('disabled', !selected && full);
+            });
+        },
+
+        /**
+         * Render the compare tray fixed to the bottom of the screen, hidden while it's empty
+         */
+        renderCompareTray: function() {
+            var self = this;
+            var list = this.getCompareList();
+
+            $('.wp-plugin-compare-tray').remove();
+
+            if (!list.length) {
+                return;
+            }
+
+            var items = list.map(function(plugin) {
+                return `
+                    <li class="wp-plugin-compare-item">
+                        ${self.escapeHtml(plugin.name)}
+                        <button type="button" class="button-link wp-plugin-compare-remove" data-slug="${plugin.slug}" aria-label="Remove ${self.escapeHtml(plugin.name)} from comparison">
+                            <span class="dashicons dashicons-no-alt" aria-hidden="true"></span>
+                        </button>
+                    </li>
+                `;
+            }).join('');
+
+            $('body').append(`
+                <div class="wp-plugin-compare-tray" role="region" aria-label="Plugin comparison">
+                    <span class="wp-plugin-compare-count">Compare ${list.length}/${this.config.maxCompare}</span>
+                    <ul class="wp-plugin-compare-items">${items}</ul>
+                    <button type="button" class="button button-primary wp-plugin-compare-open"${list.length < 2 ? ' disabled' : ''}>Compare</button>
+                    <button type="button" class="button-link wp-plugin-compare-clear">Clear</button>
+                </div>
+            `);
+        },
+
+        /**
+         * Open the side-by-side comparison of the plugins in the tray
+         */
+        openComparison: function() {
+            var list = this.getCompareList();
+
+            if (list.length < 2) {
+                return;
+            }
+
+            this.closeComparison();
+            this.state.compareReturnFocus = document.activeElement;
+
+            var $overlay = $(this.buildComparisonHTML(list));
+            $('body').append($overlay);
+            $overlay.find('.wp-plugin-compare-dialog').trigger('focus');
+        },
+
+        /**
+         * Close the comparison and return focus to whatever opened it
+         */
+        closeComparison: function() {
+            if (!$('.wp-plugin-compare-overlay').length) {
+                return;
+            }
+
+            $('.wp-plugin-compare-overlay').remove();
+
+            if (this.state.compareReturnFocus && document.body.contains(this.state.compareReturnFocus)) {
+                $(this.state.compareReturnFocus).trigger('focus');
+            } else {
+                $('.wp-plugin-compare-open').trigger('focus');
+            }
+            this.state.compareReturnFocus = null;
+        },
+
+        /**
+         * Build the comparison table - one column per plugin, the best value in each row highlighted
+         */
+        buildComparisonHTML: function(plugins) {
+            var self = this;
+            var healthRows = this.getScoreBreakdown(plugins[0], 'health').rows;
+
+            // Each row: label, a cell per plugin as { value, text }, and 'high' or 'low' for the best value
+            var rows = [
+                {
+                    label: 'Active installations',
+                    best: 'high',
+                    cells: plugins.map(function(plugin) {
+                        return { value: plugin.active_installs || 0, text: self.formatInstallCount(plugin.active_installs || 0) };
+                    })
+                },
+                {
+                    label: 'Rating',
+                    best: 'high',
+                    cells: plugins.map(function(plugin) {
+                        var stars = Math.round(((plugin.rating || 0) / 20) * 10) / 10;
+                        return { value: plugin.num_ratings ? stars : null, text: plugin.num_ratings ? stars + '★ (' + plugin.num_ratings + ' ratings)' : 'No ratings' };
+                    })
+                },
+                {
+                    label: 'Rating distribution',
+                    best: 'high',
+                    html: true,
+                    cells: plugins.map(function(plugin) {
+                        return self.getRatingDistributionCell(plugin);
+                    })
+                },
+                {
+                    label: 'Usability Rating',
+                    best: 'high',
+                    cells: plugins.map(function(plugin) {
+                        var usability = self.calculateUsability(plugin);
+                        return { value: usability.score, text: usability.score + '/100' + (usability.fewRatings ? ' (few ratings)' : '') };
+                    })
+                },
+                {
+                    label: 'Health Score',
+                    best: 'high',
+                    cells: plugins.map(function(plugin) {
+                        var health = plugin.health_score || self.calculateHealthProxy(plugin);
+                        return { value: health, text: health + '/100' };
+                    })
+                }
+            ];
+
+            // Health factors, compared on their 0-1 component score but showing the raw input
+            healthRows.forEach(function(healthRow) {
+                rows.push({
+                    label: healthRow.label,
+                    best: 'high',
+                    factor: true,
+                    cells: plugins.map(function(plugin) {
+                        return { value: self.getHealthComponents(plugin)[healthRow.key], text: self.getHealthInputs(plugin)[healthRow.key] };
+                    })
+                });
+            });
+
+            rows.push(
+                {
+                    label: 'Tested up to',
+                    best: 'high',
+                    version: true,
+                    cells: plugins.map(function(plugin) {
+                        return { value: plugin.tested || null, text: plugin.tested || 'Unknown' };
+                    })
+                },
+                {
+                    label: 'Requires WordPress',
+                    best: 'low',
+                    version: true,
+                    cells: plugins.map(function(plugin) {
+                        return { value: plugin.requires || null, text: plugin.requires || 'Unknown' };
+                    })
+                },
+                {
+                    label: 'Requires PHP',
+                    best: 'low',
+                    version: true,
+                    cells: plugins.map(function(plugin) {
+                        return { value: plugin.requires_php || null, text: plugin.requires_php || 'Unknown' };
+                    })
+                },
+                {
+                    label: 'Last updated',
+                    best: 'low',
+                    cells: plugins.map(function(plugin) {
+                        var days = self.getDaysSinceUpdate(plugin);
+                        return { value: days, text: days === null ? 'Unknown' : self.getUpdateStatus(plugin.last_updated).text };
+                    })
+                },
+                {
+                    label: 'Author',
+                    cells: plugins.map(function(plugin) {
+                        return { value: null, text: self.getAuthorName(plugin) || 'Unknown' };
+                    })
+                }
+            );
+
+            var header = plugins.map(function(plugin) {
+                var icon = self.getIconUrl(plugin);
+                return `
+                    <th scope="col">
+                        ${icon ? `<img src="${icon}" alt="" width="32" height="32">` : ''}
+                        ${self.escapeHtml(plugin.name)}
+                    </th>
+                `;
+            }).join('');
+
+            var body = rows.map(function(row) {
+                var best = self.getBestCompareValue(row);
+                var cells = row.cells.map(function(cell) {
+                    var isBest = best !== null && cell.value !== null && (row.version ? self.compareVersions(cell.value, best) === 0 : cell.value === best);
+                    return `<td${isBest ? ' class="is-best"' : ''}>${row.html ? cell.text : self.escapeHtml(String(cell.text))}</td>`;
+                }).join('');
+
+                return `<tr${row.factor ? ' class="is-factor"' : ''}><th scope="row">${row.label}</th>${cells}</tr>`;
+            }).join('');
+
+            return `
+                <div class="wp-plugin-compare-overlay">
+                    <div class="wp-plugin-compare-dialog" role="dialog" aria-modal="true" aria-label="Plugin comparison" tabindex="-1">
+                        <button type="button" class="button-link wp-plugin-compare-close" aria-label="Close comparison">
+                            <span class="dashicons dashicons-no-alt" aria-hidden="true"></span>
+                        </button>
+                        <h2>Compare plugins</h2>
+                        <div class="wp-plugin-compare-scroll">
+                            <table class="widefat wp-plugin-compare-table">
+                                <thead><tr><td></td>${header}</tr></thead>
+                                <tbody>${body}</tbody>
+                            </table>
+                        </div>
+                        <p class="description">The best value in each row is highlighted. Values without data are not compared.</p>
+                    </div>
+                </div>
+            `;
+        },
+
+        /**
+         * Find the best value of a comparison row, or null when fewer than two plugins have data
+         */
+        getBestCompareValue: function(row) {
+            var self = this;
+
+            if (!row.best) {
+                return null;
+            }
+
+            var values = row.cells.map(function(cell) {
+                return cell.value;
+            }).filter(function(value) {
+                return value !== null && typeof value !== 'undefined';
+            });
+
+            if (values.length < 2) {
+                return null;
             }
+
+            return values.reduce(function(best, value) {
+                var diff = row.version ? self.compareVersions(value, best) : value - best;
+                return (row.best === 'high' ? diff > 0 : diff < 0) ? value : best;
+            });
         },
 
         /**
-         * Compare semantic version strings (returns: -1, 0, or 1)
+         * Build the rating distribution bars of a comparison cell, valued by the share of 4 and 5 star ratings
          */
-        compareVersions: function(version1, version2) {
-            var v1parts = version1.split('.').map(Number);
-            var v2parts = version2.split('.').map(Number);
-            var maxLength = Math.max(v1parts.length, v2parts.length);
-            
-            // Pad arrays to same length
-            while (v1parts.length < maxLength) v1parts.push(0);
-            while (v2parts.length < maxLength) v2parts.push(0);
-            
-            for (var i = 0; i < maxLength; i++) {
-                if (v1parts[i] > v2parts[i]) return 1;
-                if (v1parts[i] < v2parts[i]) return -1;
+        getRatingDistributionCell: function(plugin) {
+            var ratings = plugin.ratings || {};
+            var total = 0;
+
+            for (var star = 1; star <= 5; star++) {
+                total += parseInt(ratings[star], 10) || 0;
             }
-            return 0;
+
+            if (!total) {
+                return { value: null, text: 'No ratings' };
+            }
+
+            var bars = '';
+            for (star = 5; star >= 1; star--) {
+                var share = Math.round(((parseInt(ratings[star], 10) || 0) / total) * 100);
+                bars += `
+                    <div class="wp-plugin-compare-bar">
+                        <span class="wp-plugin-compare-bar-label">${star}★</span>
+                        <span class="wp-plugin-compare-bar-track"><span style="width: ${share}%"></span></span>
+                        <span class="wp-plugin-compare-bar-value">${share}%</span>
+                    </div>
+                `;
+            }
+
+            var positive = ((parseInt(ratings[5], 10) || 0) + (parseInt(ratings[4], 10) || 0)) / total;
+            return { value: Math.round(positive * 1000) / 1000, text: bars };
         },
 
         /**
-         * Calculate plugin usability score and return detailed breakdown
-         * @param {Object} ratings - WP.org ratings breakdown {1: x, 2: x, 3: x, 4: x, 5: x}
-         * @param {number} numRatings - total number of ratings
-         * @param {number} globalMean - average rating across all plugins (default ~3.8)
-         * @param {number} C - confidence constant (higher = more pull toward global mean for small samples)
-         * @returns {Object} breakdown { avgStars, adjustedAvg, score, total, distribution }
+         * Get the configured weights for 'usability' or 'health', falling back to the defaults
          */
-        calculateUsability: function(ratings, numRatings, globalMean, C) {
-            globalMean = globalMean || 3.8;
-            C = C || 100;
-            
-            if (!ratings || numRatings === 0) {
-                return {
-                    avgStars: 0,
-                    adjustedAvg: 0,
-                    score: 0,
-                    total: 0,
-                    distribution: {1:0,2:0,3:0,4:0,5:0}
-                };
-            }
+        getAlgorithmWeights: function(algorithm) {
+            var configured = (typeof wpPluginFilters !== 'undefined' && wpPluginFilters.weights) ? wpPluginFilters.weights[algorithm] : null;
+            return $.extend({}, this.config[algorithm + 'Weights'], configured || {});
+        },
 
-            // Weighted average from distribution
-            var weightedSum = 0;
-            for (var i = 1; i <= 5; i++) {
-                weightedSum += (i * (ratings[i] || 0));
-            }
-            var avgStars = weightedSum / numRatings;
+        /**
+         * Weighted average of the available components (0-1), or null when none have data
+         */
+        blendComponents: function(components, weights) {
+            var weightedScore = 0;
+            var totalWeight = 0;
 
-            // Bayesian adjustment
-            var adjustedAvg = ((C * globalMean) + (numRatings * avgStars)) / (C + numRatings);
+            Object.keys(components).forEach(function(key) {
+                if (components[key] !== null && weights[key]) {
+                    weightedScore += components[key] * weights[key];
+                    totalWeight += weights[key];
+                }
+            });
 
-            // Normalize to 0–100
-            var score = (adjustedAvg / 5) * 100;
+            return totalWeight > 0 ? weightedScore / totalWeight : null;
+        },
 
-            return {
-                avgStars: Math.round(avgStars * 10) / 10,       // plain average
-                adjustedAvg: Math.round(adjustedAvg * 10) / 10, // smoothed average
-                score: Math.round(score * 10) / 10,             // usability score
-                total: numRatings,
-                distribution: ratings
-            };
+        /**
+         * Score a value against [threshold, score] steps in descending threshold order
+         */
+        stepScore: function(value, steps, fallback) {
+            for (var i = 0; i < steps.length; i++) {
+                if (value >= steps[i][0]) {
+                    return steps[i][1];
+                }
+            }
+            return fallback;
         },
 
         /**
@@ -1389,55 +5156,13 @@
         },
 
         /**
-         * Calculate a health proxy score based on available plugin data
+         * Calculate a health proxy score based on available plugin data, using the configured health weights
          */
         calculateHealthProxy: function(plugin) {
-            var healthScore = 0;
-            
-            // Factor 1: How recently updated (40% weight)
-            var lastUpdated = this.parseWordPressDate(plugin.last_updated);
-            var daysSinceUpdate = Math.floor((new Date() - lastUpdated) / (1000 * 60 * 60 * 24));
-            var updateScore = 0;
-            if (daysSinceUpdate <= 30) updateScore = 40;        // Recently updated
-            else if (daysSinceUpdate <= 90) updateScore = 30;   // Updated within 3 months
-            else if (daysSinceUpdate <= 180) updateScore = 20;  // Updated within 6 months
-            else if (daysSinceUpdate <= 365) updateScore = 10;  // Updated within 1 year
-            else updateScore = 0;                               // Over 1 year old
-            
-            // Factor 2: Rating quality (30% weight)
-            var rating = plugin.rating ? (plugin.rating / 20) : 0; // Convert 0-100 to 0-5
-            var numRatings = plugin.num_ratings || 0;
-            var ratingScore = 0;
-            if (rating >= 4.5 && numRatings >= 50) ratingScore = 30;      // Excellent with good sample
-            else if (rating >= 4.0 && numRatings >= 20) ratingScore = 25; // Very good
-            else if (rating >= 3.5 && numRatings >= 10) ratingScore = 20; // Good
-            else if (rating >= 3.0 && numRatings >= 5) ratingScore = 15;  // Decent
-            else if (rating >= 2.0) ratingScore = 10;                    // Poor
-            else ratingScore = 0;                                         // Very poor or no ratings
-            
-            // Factor 3: Active installations (20% weight)
-            var installs = plugin.active_installs || 0;
-            var installScore = 0;
-            if (installs >= 1000000) installScore = 20;      // 1M+ installs
-            else if (installs >= 100000) installScore = 17;  // 100K+ installs
-            else if (installs >= 10000) installScore = 14;   // 10K+ installs
-            else if (installs >= 1000) installScore = 11;    // 1K+ installs
-            else if (installs >= 100) installScore = 8;      // 100+ installs
-            else installScore = 5;                           // Less than 100 installs
-            
-            // Factor 4: WordPress version compatibility (10% weight)
-            var tested = plugin.tested || '';
-            var compatScore = 0;
-            if (tested >= '6.0') compatScore = 10;       // Recent WordPress version
-            else if (tested >= '5.8') compatScore = 8;   // Fairly recent
-            else if (tested >= '5.5') compatScore = 6;   // Somewhat recent
-            else if (tested >= '5.0') compatScore = 4;   // Older but still supported
-            else compatScore = 2;                        // Very old or unknown
-            
-            healthScore = updateScore + ratingScore + installScore + compatScore;
-            
+            var blended = this.blendComponents(this.getHealthComponents(plugin), this.getAlgorithmWeights('health'));
+
             // Ensure score is between 0-100
-            return Math.min(100, Math.max(0, healthScore));
+            return blended === null ? 0 : Math.min(100, Math.max(0, Math.round(blended * 100)));
         },
 
         /**
@@ -1659,14 +5384,18 @@
         /**
          * Show message when user tries to filter without search term
          */
-        showSearchRequiredMessage: function() {
+        showSearchRequiredMessage: function(tokensOnly) {
             // Remove any existing message
             $('.wp-plugin-search-required').remove();
             
+            var reason = tokensOnly
+                ? (wpPluginFilters.strings.queryNeedsKeyword || 'Filters like installs:>50k narrow a keyword search. Add at least one word or "phrase" to search for.')
+                : 'Filtering and sorting require a search term for better performance.';
+            
             // Create message
             var message = $(`
                 <div class="wp-plugin-search-required notice notice-warning" style="margin: 10px 0; padding: 12px;">
-                    <p><strong>Please enter a search keyword first.</strong> Filtering and sorting require a search term for better performance.</p>
+                    <p><strong>Please enter a search keyword first.</strong> ${this.escapeHtml(reason)}</p>
                 </div>
             `);
             
@@ -1692,27 +5421,16 @@
          */
         clearFilterFormValues: function() {
             // Reset all filter form values with defensive checks
-            if (this.$elements.installationRange && this.$elements.installationRange.length) {
-                this.$elements.installationRange.val('all');
-            }
+            this.resetRangeControls();
             if (this.$elements.updateTimeframe && this.$elements.updateTimeframe.length) {
                 this.$elements.updateTimeframe.val('all');
             }
-            if (this.$elements.usabilityRating && this.$elements.usabilityRating.length) {
-                this.$elements.usabilityRating.val('0');
-            }
-            if (this.$elements.healthScore && this.$elements.healthScore.length) {
-                this.$elements.healthScore.val('0');
-            }
-            if (this.$elements.rating && this.$elements.rating.length) {
-                this.$elements.rating.val('0');
-            }
-            if (this.$elements.sortBy && this.$elements.sortBy.length) {
-                this.$elements.sortBy.val('');
-            }
-            if (this.$elements.sortDirection && this.$elements.sortDirection.length) {
-                this.$elements.sortDirection.val('desc');
+            this.resetSortControls();
+            if (this.$elements.compatibleOnly && this.$elements.compatibleOnly.length) {
+                this.$elements.compatibleOnly.prop('checked', false);
             }
+            this.clearFacetSelections();
+            this.clearQueryState();
             
             console.log('[WP Plugin Filters] Filter form values cleared');
         },
@@ -1723,15 +5441,26 @@
         performCleanSearch: function(searchTerm) {
             console.log('[WP Plugin Filters] Performing clean search for:', searchTerm);
             
+            // Supersede any search still in flight - only the latest one may render
+            var request = this.beginRequest();
+            this.updateURL();
+
             this.showLoadingState();
             
             // Fetch plugins with just the search term
-            this.fetchPluginDataFromAPI(searchTerm)
+            this.fetchPluginData(searchTerm, 1, request.signal)
                 .then(function(response) {
+                    if (!this.isCurrentRequest(request)) {
+                        return;
+                    }
                     // Always use clean layout for native searches
                     this.handleDirectAPISuccessClean(response);
                 }.bind(this))
-                .catch(this.handleDirectAPIError.bind(this));
+                .catch(function(error) {
+                    if (this.isCurrentRequest(request) && !this.isAbortError(error)) {
+                        this.handleDirectAPIError(error);
+                    }
+                }.bind(this));
         },
 
         /**
@@ -1742,6 +5471,7 @@
             
             // Clear all custom filters
             this.clearFilterFormValues();
+            this.updateURL();
             
             // Remove all filter classes to restore native WordPress layout
             $('body').removeClass('wp-filter-active wp-filter-results-active wp-plugin-filters-loading');
@@ -1750,9 +5480,11 @@
             $('.plugin-card').removeClass('wp-plugin-enhanced');
             
             // Reset state
+            this.abortActiveRequest();
             this.state.currentFilters = {};
             this.state.isLoading = false;
             this.state.retryCount = 0;
+            this.resetPaginationState();
             
             // Restore original WordPress plugin content if available
             if (this.state.originalContent) {
@@ -1784,32 +5516,22 @@
          */
         clearAllFilters: function() {
             // Reset all filter form values with defensive checks
-            if (this.$elements.installationRange && this.$elements.installationRange.length) {
-                this.$elements.installationRange.val('all');
-            }
+            this.resetRangeControls();
             if (this.$elements.updateTimeframe && this.$elements.updateTimeframe.length) {
                 this.$elements.updateTimeframe.val('all');
             }
-            if (this.$elements.usabilityRating && this.$elements.usabilityRating.length) {
-                this.$elements.usabilityRating.val('0');
-            }
-            if (this.$elements.healthScore && this.$elements.healthScore.length) {
-                this.$elements.healthScore.val('0');
-            }
-            if (this.$elements.rating && this.$elements.rating.length) {
-                this.$elements.rating.val('0');
-            }
-            if (this.$elements.sortBy && this.$elements.sortBy.length) {
-                this.$elements.sortBy.val('');
-            }
-            if (this.$elements.sortDirection && this.$elements.sortDirection.length) {
-                this.$elements.sortDirection.val('desc');
+            this.resetSortControls();
+            if (this.$elements.compatibleOnly && this.$elements.compatibleOnly.length) {
+                this.$elements.compatibleOnly.prop('checked', false);
             }
+            this.clearFacetSelections();
+            this.clearQueryState();
             
             // Clear search input to fully reset
             if (this.$elements.searchInput && this.$elements.searchInput.length) {
                 this.$elements.searchInput.val('');
             }
+            this.updateURL();
             
             // Remove ALL filter-related classes to restore native WordPress layout
             $('body').removeClass('wp-filter-active wp-filter-results-active wp-plugin-filters-loading');
@@ -1820,9 +5542,11 @@
             console.log('[WP Plugin Filters] Cleared all filters - restoring native layout');
             
             // Reset state
+            this.abortActiveRequest();
             this.state.currentFilters = {};
             this.state.isLoading = false;
             this.state.retryCount = 0;
+            this.resetPaginationState();
             
             // Restore original WordPress plugin content if we have it saved
             if (this.state.originalContent) {
@@ -1854,13 +5578,21 @@
         fallbackToBrowseAll: function() {
             console.log('[WP Plugin Filters] Using fallback to browse all plugins');
             
+            var request = this.beginRequest();
+
             // Make clean API call with no search term to get popular plugins
-            this.fetchPluginDataFromAPI('')
+            this.fetchPluginData('', 1, request.signal)
                 .then((response) => {
+                    if (!this.isCurrentRequest(request)) {
+                        return;
+                    }
                     // Don't apply filter classes for clean results
                     this.updatePluginGridClean(response);
                 })
                 .catch((error) => {
+                    if (!this.isCurrentRequest(request) || this.isAbortError(error)) {
+                        return;
+                    }
                     console.error('[WP Plugin Filters] Fallback failed:', error);
                     // As a last resort, try to trigger WordPress native search
                     var $searchForm = $('.wp-filter-search form, form.search-form');
@@ -1872,62 +5604,168 @@
         },
 
         /**
-         * Load state from URL parameters - DISABLED to prevent access errors
+         * Restore the search and filters from a shared link and run the search
          */
         loadStateFromURL: function() {
-            // Disabled URL state loading to prevent access errors
-            // Filter state is now maintained only in the UI during the session
-            console.log('[WP Plugin Filters] URL state loading disabled to prevent access errors');
-            return;
-            
-            /*
-            var urlParams = new URLSearchParams(window.location.search);
-            
-            if (urlParams.get('installation_range')) {
-                this.$elements.installationRange.val(urlParams.get('installation_range'));
+            var filterData = this.parseStateFragment(window.location.hash);
+
+            if (!filterData) {
+                return;
             }
-            if (urlParams.get('update_timeframe')) {
-                this.$elements.updateTimeframe.val(urlParams.get('update_timeframe'));
+
+            console.log('[WP Plugin Filters] Restoring search and filters from link:', filterData);
+
+            this.refreshElementCache();
+            if (this.$elements.searchInput.length) {
+                this.$elements.searchInput.val(filterData.search_term);
             }
-            if (urlParams.get('usability_rating')) {
-                this.$elements.usabilityRating.val(urlParams.get('usability_rating'));
+            this.setFilterControlValues(filterData);
+
+            if (filterData.search_term.trim() === '') {
+                return;
             }
-            if (urlParams.get('health_score')) {
-                this.$elements.healthScore.val(urlParams.get('health_score'));
+
+            // A keyword with no filters came from the WordPress search box, show it the same way
+            if (!this.hasActiveFilters(filterData) && !this.hasQuerySyntax(this.parseSearchQuery(filterData.search_term))) {
+                this.performCleanSearch(filterData.search_term);
+            } else {
+                this.applyFilters();
             }
-            if (urlParams.get('sort_by')) {
-                this.$elements.sortBy.val(urlParams.get('sort_by'));
+        },
+
+        /**
+         * Keep the current search and filters in the URL fragment, one history entry per applied state
+         *
+         * WordPress rejects unknown query parameters on admin pages after a refresh, it never sees the fragment.
+         */
+        updateURL: function() {
+            if (!window.history || typeof window.history.pushState !== 'function') {
+                return;
             }
-            if (urlParams.get('sort_direction')) {
-                this.$elements.sortDirection.val(urlParams.get('sort_direction'));
+
+            var url = this.getStateURL();
+
+            // Restoring an entry or re-applying the same state must not add another one
+            if (!this.state.restoringHistory && url !== window.location.href) {
+                window.history.pushState({ wppdfi: true }, '', url);
+            } else {
+                window.history.replaceState(window.history.state, '', url);
             }
-            */
         },
 
         /**
-         * Update URL with current filter state - DISABLED to prevent access errors on refresh
+         * Show the search and filters of the history entry navigated to
+         *
+         * Results come from the response cache when it still has them, a change of sort order only re-sorts.
          */
-        updateURL: function() {
-            // Disabled URL updating to prevent "not allowed to access page" errors on refresh
-            // WordPress admin doesn't handle custom filter parameters well
-            console.log('[WP Plugin Filters] URL update disabled to prevent refresh access errors');
-            return;
-            
-            /*
-            var url = new URL(window.location);
-            
-            // Update URL parameters
+        restoreHistoryState: function() {
+            this.state.restoringHistory = true;
+
+            try {
+                if (this.parseStateFragment(window.location.hash)) {
+                    this.loadStateFromURL();
+                } else if (this.state.resultsMode) {
+                    // Back to the entry before the first search - the native installer page
+                    this.clearAllFilters();
+                }
+            } finally {
+                this.state.restoringHistory = false;
+            }
+        },
+
+        /**
+         * Get the link to this page with the current search and filters
+         */
+        getStateURL: function() {
+            return window.location.href.split('#')[0] + this.buildStateFragment();
+        },
+
+        /**
+         * Encode the search and the non-default filters as a fragment, or '' when there is nothing to keep
+         */
+        buildStateFragment: function() {
+            var params = new URLSearchParams();
+            var filterData = this.getPresetFilterData();
+            var defaults = { update_timeframe: 'all', tag_mode: 'or', sort_direction: 'desc', sort_direction_2: 'desc', sort_direction_3: 'desc' };
+            var searchText = this.$elements.searchInput && this.$elements.searchInput.length ? (this.$elements.searchInput.val() || '').trim() : '';
+
+            if (searchText) {
+                params.set('s', searchText);
+            }
+
             Object.keys(filterData).forEach(function(key) {
-                if (filterData[key] && filterData[key] !== 'all' && filterData[key] !== '0' && filterData[key] !== 'relevance') {
-                    url.searchParams.set(key, filterData[key]);
-                } else {
-                    url.searchParams.delete(key);
+                var value = filterData[key];
+
+                if (Array.isArray(value)) {
+                    value.forEach(function(item) {
+                        params.append(key, item);
+                    });
+                } else if (value === true) {
+                    params.set(key, '1');
+                } else if (value !== null && value !== false && value !== '' && value !== defaults[key]) {
+                    params.set(key, String(value));
                 }
             });
-            
-            // Update browser history
-            window.history.replaceState({}, '', url);
-            */
+
+            var query = params.toString();
+            return query ? '#' + this.config.stateFragment + '?' + query : '';
+        },
+
+        /**
+         * Decode a fragment made by buildStateFragment into filter data, or null if it isn't one
+         */
+        parseStateFragment: function(hash) {
+            var prefix = '#' + this.config.stateFragment + '?';
+
+            if (!hash || hash.indexOf(prefix) !== 0) {
+                return null;
+            }
+
+            var params = new URLSearchParams(hash.slice(prefix.length));
+            var filterData = {
+                search_term: params.get('s') || '',
+                tags: params.getAll('tags'),
+                author_include: params.getAll('author_include'),
+                author_exclude: params.getAll('author_exclude'),
+                compatible_only: params.get('compatible_only') === '1'
+            };
+
+            ['update_timeframe', 'tag_mode', 'sort_by', 'sort_direction', 'sort_by_2', 'sort_direction_2', 'sort_by_3', 'sort_direction_3'].forEach(function(key) {
+                if (params.has(key)) {
+                    filterData[key] = params.get(key);
+                }
+            });
+
+            Object.keys(this.config.rangeFilters).forEach(function(key) {
+                ['_min', '_max'].forEach(function(bound) {
+                    var value = parseFloat(params.get(key + bound));
+                    filterData[key + bound] = isNaN(value) ? null : value;
+                });
+            });
+
+            return filterData;
+        },
+
+        /**
+         * Copy the link to the current search and filters, showing it instead when the clipboard isn't available
+         */
+        copyStateLink: function() {
+            var self = this;
+            var url = this.getStateURL();
+            var showLink = function() {
+                self.showNotice((wpPluginFilters.strings.linkCopyManual || 'Copy this link: %s').replace('%s', url), 'info');
+            };
+
+            if (!navigator.clipboard || !window.isSecureContext) {
+                showLink();
+                return;
+            }
+
+            navigator.clipboard.writeText(url)
+                .then(function() {
+                    self.showNotice(wpPluginFilters.strings.linkCopied || 'Link copied. It opens this search with the same filters.', 'success');
+                })
+                .catch(showLink);
         },
 
         /**
@@ -2209,17 +6047,293 @@
         },
 
         /**
-         * Update pagination controls
+         * Update pagination controls for the filtered results
          */
         updatePagination: function(paginationData) {
-            // WordPress pagination update logic would go here
-            // This is a simplified version
-            if (paginationData && this.$elements.paginationLinks.length) {
-                // Update pagination display
-                console.log('Updating pagination:', paginationData);
+            if (!paginationData) {
+                return;
+            }
+
+            var $pagination = $('.tablenav-pages');
+
+            // Some installer views have no native pagination, add our own above the results
+            if (!$pagination.length) {
+                $('#the-list, .wp-list-table').first().before('<div class="tablenav wp-plugin-filters-tablenav"><div class="tablenav-pages"></div></div>');
+                $pagination = $('.tablenav-pages');
+            }
+
+            this.$elements.paginationLinks = $pagination;
+
+            $pagination
+                .removeClass('no-pages one-page')
+                .addClass('wp-plugin-filters-pagination')
+                .toggleClass('one-page', paginationData.pages <= 1)
+                .html(this.buildPaginationHTML(paginationData));
+        },
+
+        /**
+         * Build HTML for the filtered pagination controls (mirrors the WordPress list table markup)
+         */
+        buildPaginationHTML: function(paginationData) {
+            var page = paginationData.page;
+            var pages = paginationData.pages;
+            var total = paginationData.total_results;
+            var first = total === 0 ? 0 : (page - 1) * paginationData.per_page + 1;
+            var last = Math.min(page * paginationData.per_page, total);
+
+            var strings = wpPluginFilters.strings;
+            var template = strings.showingResults || 'Showing %1$d–%2$d of %3$d plugins';
+            var summary = template.replace('%1$d', first).replace('%2$d', last).replace('%3$d', total);
+            var ofPages = this.escapeHtml(strings.pagingOf || 'of %s').replace('%s', `<span class="total-pages">${pages}</span>`);
+
+            var link = function(targetPage, cssClass, label, symbol, enabled) {
+                if (!enabled) {
+                    return `<span class="tablenav-pages-navspan button disabled" aria-hidden="true">${symbol}</span>`;
+                }
+                return `<a class="${cssClass} button" href="#" data-wppdfi-page="${targetPage}"><span class="screen-reader-text">${label}</span><span aria-hidden="true">${symbol}</span></a>`;
+            };
+
+            return `
+                <span class="displaying-num">${summary}</span>
+                <span class="pagination-links">
+                    ${link(1, 'first-page', this.escapeHtml(strings.firstPage || 'First page'), '&laquo;', page > 1)}
+                    ${link(page - 1, 'prev-page', this.escapeHtml(strings.previousPage || 'Previous page'), '&lsaquo;', page > 1)}
+                    <span class="paging-input">
+                        <input class="current-page wppdfi-current-page" type="text" value="${page}" size="${String(pages).length}" aria-label="${this.escapeHtml(strings.currentPage || 'Current page')}">
+                        <span class="tablenav-paging-text"> ${ofPages}</span>
+                    </span>
+                    ${link(page + 1, 'next-page', this.escapeHtml(strings.nextPage || 'Next page'), '&rsaquo;', page < pages)}
+                    ${link(pages, 'last-page', this.escapeHtml(strings.lastPage || 'Last page'), '&raquo;', page < pages)}
+                </span>
+            `;
+        },
+
+        /**
+         * Forget the loaded result set and restore the native pagination
+         */
+        resetPaginationState: function() {
+            this.state.allPlugins = [];
+            this.state.filteredPlugins = [];
+            this.state.apiPagination = null;
+            this.state.usabilityPriorMean = null;
+            this.state.currentPage = 1;
+            this.state.resultsMode = null;
+            this.state.renderedCount = 0;
+            this.state.apiPagesLoaded = 0;
+            this.state.emptyFetches = 0;
+            this.teardownInfiniteScroll();
+            this.restoreNativePagination();
+            this.renderFacets();
+            this.updateHiddenControls();
+            $('.wp-plugin-filters-cache-notice').remove();
+        },
+
+        /**
+         * Get a plugin's tags as value/label pairs (the API returns a slug => name map)
+         */
+        getPluginTags: function(plugin) {
+            var tags = plugin.tags || {};
+
+            if (Array.isArray(tags)) {
+                return tags.map(function(tag) {
+                    return { value: tag, label: tag };
+                });
+            }
+
+            return Object.keys(tags).map(function(slug) {
+                return { value: slug, label: tags[slug] || slug };
+            });
+        },
+
+        /**
+         * Get a plugin's author as plain text (the API returns an HTML link)
+         */
+        getAuthorName: function(plugin) {
+            var author = plugin.author || '';
+
+            if (author.indexOf('<') === -1) {
+                return author.trim();
+            }
+
+            // DOMParser documents are inert, so author markup can't run scripts or load images
+            var doc = new DOMParser().parseFromString(author, 'text/html');
+            return (doc.body.textContent || '').trim();
+        },
+
+        /**
+         * Count facet values across plugins, most common first
+         */
+        countFacetValues: function(plugins, getValues) {
+            var counts = {};
+
+            plugins.forEach(function(plugin) {
+                getValues(plugin).forEach(function(item) {
+                    if (!counts[item.value]) {
+                        counts[item.value] = { value: item.value, label: item.label, count: 0 };
+                    }
+                    counts[item.value].count++;
+                });
+            });
+
+            return Object.keys(counts).map(function(key) {
+                return counts[key];
+            }).sort(function(a, b) {
+                return (b.count - a.count) || a.label.localeCompare(b.label);
+            });
+        },
+
+        /**
+         * Render the facet row from the loaded results
+         */
+        renderFacets: function() {
+            var self = this;
+            var plugins = this.state.allPlugins || [];
+            var tagCounts = this.countFacetValues(plugins, this.getPluginTags.bind(this));
+            var authorCounts = this.countFacetValues(plugins, function(plugin) {
+                var name = self.getAuthorName(plugin);
+                return name ? [{ value: name, label: name }] : [];
+            });
+
+            var tagStates = {};
+            this.state.selectedTags.forEach(function(tag) {
+                tagStates[tag] = 'include';
+            });
+
+            var authorStates = {};
+            this.state.authorInclude.forEach(function(author) {
+                authorStates[author] = 'include';
+            });
+            this.state.authorExclude.forEach(function(author) {
+                authorStates[author] = 'exclude';
+            });
+
+            this.renderFacetChips('tags', tagCounts, tagStates);
+            this.renderFacetChips('authors', authorCounts, authorStates);
+
+            $('.wp-plugin-filters-facets').prop('hidden', !plugins.length);
+        },
+
+        /**
+         * Render the chips of one facet - the most common values plus anything already selected
+         */
+        renderFacetChips: function(facet, items, states) {
+            var self = this;
+            var shown = items.slice(0, this.config.maxFacetChips);
+
+            // Selected values stay visible even when they no longer make the cut
+            Object.keys(states).forEach(function(value) {
+                var isShown = shown.some(function(item) {
+                    return item.value === value;
+                });
+                if (!isShown) {
+                    var match = items.filter(function(item) {
+                        return item.value === value;
+                    })[0];
+                    shown.push(match || { value: value, label: value, count: 0 });
+                }
+            });
+
+            var html = shown.map(function(item) {
+                return self.buildFacetChip(facet, item, states[item.value] || '');
+            }).join('');
+
+            $(`.wp-plugin-filters-facet[data-facet="${facet}"] .wp-plugin-filters-chips`).html(html);
+        },
+
+        /**
+         * Build HTML for a single facet chip - chipState is '', 'include' or 'exclude'
+         */
+        buildFacetChip: function(facet, item, chipState) {
+            var excluded = chipState === 'exclude' ? '<span class="screen-reader-text">(hidden)</span>' : '';
+
+            return `
+                <button type="button" class="wp-plugin-filters-chip" data-facet="${facet}" data-value="${this.escapeHtml(item.value)}" data-state="${chipState}" aria-pressed="${chipState ? 'true' : 'false'}">
+                    <span class="wp-plugin-filters-chip-label">${this.escapeHtml(item.label)}</span>
+                    ${excluded}
+                    <span class="wp-plugin-filters-chip-count">${item.count}</span>
+                </button>
+            `;
+        },
+
+        /**
+         * Toggle a facet chip and re-apply the filters
+         */
+        toggleFacetChip: function($chip) {
+            var value = String($chip.attr('data-value'));
+
+            if ($chip.attr('data-facet') === 'authors') {
+                this.cycleAuthorChip(value);
+            } else {
+                var index = this.state.selectedTags.indexOf(value);
+                if (index === -1) {
+                    this.state.selectedTags.push(value);
+                } else {
+                    this.state.selectedTags.splice(index, 1);
+                }
+            }
+
+            this.renderFacets();
+            this.applyFacetChange();
+        },
+
+        /**
+         * Cycle an author chip through neutral, show only and hide
+         */
+        cycleAuthorChip: function(author) {
+            var includeIndex = this.state.authorInclude.indexOf(author);
+            var excludeIndex = this.state.authorExclude.indexOf(author);
+
+            if (includeIndex !== -1) {
+                this.state.authorInclude.splice(includeIndex, 1);
+                this.state.authorExclude.push(author);
+            } else if (excludeIndex !== -1) {
+                this.state.authorExclude.splice(excludeIndex, 1);
+            } else {
+                this.state.authorInclude.push(author);
+            }
+        },
+
+        /**
+         * Re-run the search after a facet change, if there is a search to refine
+         */
+        applyFacetChange: function() {
+            var searchTerm = this.$elements.searchInput ? this.$elements.searchInput.val() : '';
+
+            if (searchTerm && searchTerm.trim() !== '') {
+                this.applyFilters();
             }
         },
 
+        /**
+         * Clear all facet selections
+         */
+        clearFacetSelections: function() {
+            this.state.selectedTags = [];
+            this.state.authorInclude = [];
+            this.state.authorExclude = [];
+            $('#wp-plugin-filter-tag-mode').val('or');
+            $('.wp-plugin-filters-chip').attr({ 'aria-pressed': 'false', 'data-state': '' });
+        },
+
+        /**
+         * Put the native WordPress pagination back after filtered results are gone
+         */
+        restoreNativePagination: function() {
+            var originals = this.state.originalPagination || [];
+
+            $('.wp-plugin-filters-tablenav').remove();
+            $('.tablenav-pages.wp-plugin-filters-pagination').each(function(index) {
+                var original = originals[index];
+                if (original) {
+                    $(this).attr('class', original.className).html(original.html);
+                } else {
+                    $(this).removeClass('wp-plugin-filters-pagination').empty();
+                }
+            });
+
+            this.$elements.paginationLinks = $('.tablenav-pages');
+        },
+
         /**
          * Show filter summary
          */
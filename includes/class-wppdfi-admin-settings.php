@@ -57,6 +57,122 @@ class WPPDFI_Admin_Settings {
 
 		// Add settings sections.
 
+		add_settings_section(
+			'search_section',
+			__( 'Search Settings', 'wppd-filters' ),
+			array( $this, 'render_search_section_description' ),
+			self::SETTINGS_PAGE_SLUG
+		);
+
+		// Add search settings fields.
+		$search_fields = array(
+			'aggregate_pages'   => array(
+				'label'       => __( 'Multi-Page Results', 'wppd-filters' ),
+				'type'        => 'checkbox',
+				'description' => __( 'Fetch several result pages from WordPress.org before filtering and sorting, instead of only the first page of results.', 'wppd-filters' ),
+			),
+			'max_pages'         => array(
+				'label'       => __( 'Maximum Result Pages', 'wppd-filters' ),
+				'type'        => 'number',
+				'min'         => 1,
+				'max'         => 20,
+				'description' => __( 'Upper limit of result pages fetched per filtered search (recommended: 5). A page holds 100 plugins in direct mode and 48 in proxied mode.', 'wppd-filters' ),
+			),
+			'results_display'   => array(
+				'label'       => __( 'Results Display', 'wppd-filters' ),
+				'type'        => 'select',
+				'options'     => array(
+					'pagination'      => __( 'Numbered pages', 'wppd-filters' ),
+					'infinite_scroll' => __( 'Infinite scroll', 'wppd-filters' ),
+				),
+				'description' => __( 'How filtered results are presented. Infinite scroll loads more plugins as you reach the bottom of the list.', 'wppd-filters' ),
+			),
+			'request_mode'      => array(
+				'label'       => __( 'Request Mode', 'wppd-filters' ),
+				'type'        => 'select',
+				'options'     => array(
+					'direct'  => __( 'Direct (browser calls WordPress.org)', 'wppd-filters' ),
+					'proxied' => __( 'Proxied (through this site)', 'wppd-filters' ),
+				),
+				'description' => __( 'Use proxied mode when a content security policy or proxy blocks requests from the browser to WordPress.org. If the selected mode fails, the other one is tried automatically.', 'wppd-filters' ),
+			),
+			'api_base_url'      => array(
+				'label'       => __( 'Directory API URL', 'wppd-filters' ),
+				'type'        => 'url',
+				'description' => __( 'Base URL of the plugin directory API. Point this at an internal mirror or caching proxy that serves the WordPress.org plugins/info/1.2 API.', 'wppd-filters' ),
+			),
+			'fixture_mode'      => array(
+				'label'       => __( 'Fixture Mode', 'wppd-filters' ),
+				'type'        => 'checkbox',
+				'description' => __( 'Serve canned results from the bundled fixture file instead of calling the API, for testing without internet access.', 'wppd-filters' ),
+			),
+			'security_baseline' => array(
+				'label'       => __( 'Security Baseline Version', 'wppd-filters' ),
+				'type'        => 'version',
+				'description' => __( 'Plugins tested only with WordPress versions older than this are labelled "Security Risk". Leave empty to use the branch three releases before the latest (for example 6.5 when 6.8 is the latest).', 'wppd-filters' ),
+			),
+		);
+
+		foreach ( $search_fields as $field => $field_args ) {
+			add_settings_field(
+				"search_{$field}",
+				$field_args['label'],
+				array( $this, 'render_search_setting_field' ),
+				self::SETTINGS_PAGE_SLUG,
+				'search_section',
+				array_merge( $field_args, array( 'field' => $field ) )
+			);
+		}
+
+		add_settings_section(
+			'weights_section',
+			__( 'Algorithm Weights', 'wppd-filters' ),
+			array( $this, 'render_weights_section_description' ),
+			self::SETTINGS_PAGE_SLUG
+		);
+
+		// Add algorithm weight fields.
+		$weight_fields = array(
+			'usability' => array(
+				'label'   => __( 'Usability Rating Weights', 'wppd-filters' ),
+				'factors' => array(
+					'user_rating'            => __( 'User rating', 'wppd-filters' ),
+					'rating_count'           => __( 'Number of ratings', 'wppd-filters' ),
+					'installation_count'     => __( 'Active installations', 'wppd-filters' ),
+					'support_responsiveness' => __( 'Resolved support threads', 'wppd-filters' ),
+				),
+			),
+			'health'    => array(
+				'label'   => __( 'Health Score Weights', 'wppd-filters' ),
+				'factors' => array(
+					'update_frequency'  => __( 'Update frequency', 'wppd-filters' ),
+					'wp_compatibility'  => __( 'WordPress compatibility', 'wppd-filters' ),
+					'support_response'  => __( 'Support response', 'wppd-filters' ),
+					'time_since_update' => __( 'Time since last update', 'wppd-filters' ),
+					'reported_issues'   => __( 'Low ratings (reported issues)', 'wppd-filters' ),
+				),
+			),
+		);
+
+		foreach ( $weight_fields as $algorithm => $field_args ) {
+			add_settings_field(
+				"{$algorithm}_weights",
+				$field_args['label'],
+				array( $this, 'render_weights_field' ),
+				self::SETTINGS_PAGE_SLUG,
+				'weights_section',
+				array_merge( $field_args, array( 'algorithm' => $algorithm ) )
+			);
+		}
+
+		add_settings_field(
+			'usability_prior',
+			__( 'Usability Rating Prior', 'wppd-filters' ),
+			array( $this, 'render_usability_prior_field' ),
+			self::SETTINGS_PAGE_SLUG,
+			'weights_section'
+		);
+
 		add_settings_section(
 			'cache_section',
 			__( 'Cache Settings', 'wppd-filters' ),
@@ -189,7 +305,7 @@ class WPPDFI_Admin_Settings {
 				<h2><?php esc_html_e( 'Algorithm Information', 'wppd-filters' ); ?></h2>
 
 				<div class="algorithm-explanations">
-					<p><?php esc_html_e( 'The plugin directory filters provide enhanced usability ratings and health scores to help you make better plugin choices. These metrics are calculated automatically based on WordPress.org data and are not user-configurable.', 'wppd-filters' ); ?></p>
+					<p><?php esc_html_e( 'The plugin directory filters provide enhanced usability ratings and health scores to help you make better plugin choices. These metrics are calculated automatically from WordPress.org data, weighted by the algorithm weights above.', 'wppd-filters' ); ?></p>
 
 					<div class="algorithm-explanation">
 						<h3><?php esc_html_e( 'Usability Rating', 'wppd-filters' ); ?></h3>
@@ -263,6 +379,153 @@ class WPPDFI_Admin_Settings {
 	}
 
 
+	/**
+	 * Render search section description
+	 */
+	public function render_search_section_description() {
+		echo '<p>' . esc_html__( 'Control how the plugin installer fetches results from WordPress.org.', 'wppd-filters' ) . '</p>';
+	}
+
+	/**
+	 * Render search setting field
+	 *
+	 * @param array $args Field arguments containing field name, type and description.
+	 */
+	public function render_search_setting_field( $args ) {
+		$settings = $this->get_settings();
+		$field    = $args['field'];
+		$value    = $settings['search_settings'][ $field ];
+		$name     = sprintf( '%s[search_settings][%s]', self::SETTINGS_OPTION, $field );
+
+		switch ( $args['type'] ) {
+			case 'checkbox':
+				printf(
+					'<label><input type="checkbox" id="search_%s" name="%s" value="1" %s /> %s</label>',
+					esc_attr( $field ),
+					esc_attr( $name ),
+					checked( ! empty( $value ), true, false ),
+					esc_html( $args['description'] )
+				);
+				return;
+
+			case 'number':
+				printf(
+					'<input type="number" id="search_%s" name="%s" value="%d" min="%d" max="%d" class="small-text" />',
+					esc_attr( $field ),
+					esc_attr( $name ),
+					intval( $value ),
+					intval( $args['min'] ),
+					intval( $args['max'] )
+				);
+				break;
+
+			case 'url':
+				printf(
+					'<input type="url" id="search_%s" name="%s" value="%s" class="regular-text code" placeholder="%s" />',
+					esc_attr( $field ),
+					esc_attr( $name ),
+					esc_attr( $value ),
+					esc_attr( WPPDFI_API_Handler::API_BASE_URL )
+				);
+				break;
+
+			case 'version':
+				printf(
+					'<input type="text" id="search_%s" name="%s" value="%s" class="small-text" pattern="\d+\.\d+(\.\d+)?" placeholder="6.7" />',
+					esc_attr( $field ),
+					esc_attr( $name ),
+					esc_attr( $value )
+				);
+				break;
+
+			case 'select':
+				printf(
+					'<select id="search_%s" name="%s">',
+					esc_attr( $field ),
+					esc_attr( $name )
+				);
+				foreach ( $args['options'] as $option_value => $option_label ) {
+					printf(
+						'<option value="%s" %s>%s</option>',
+						esc_attr( $option_value ),
+						selected( $value, $option_value, false ),
+						esc_html( $option_label )
+					);
+				}
+				echo '</select>';
+				break;
+		}
+
+		if ( ! empty( $args['description'] ) ) {
+			echo '<p class="description">' . esc_html( $args['description'] ) . '</p>';
+		}
+	}
+
+	/**
+	 * Render algorithm weights section description
+	 */
+	public function render_weights_section_description() {
+		echo '<p>' . esc_html__( 'Adjust how much each factor counts towards the usability rating and health score shown in the plugin installer. Each set of weights must add up to 100%.', 'wppd-filters' ) . '</p>';
+	}
+
+	/**
+	 * Render algorithm weights field
+	 *
+	 * @param array $args Field arguments containing the algorithm name and its factor labels.
+	 */
+	public function render_weights_field( $args ) {
+		$settings  = $this->get_settings();
+		$algorithm = $args['algorithm'];
+		$weights   = $settings[ "{$algorithm}_weights" ];
+
+		echo '<fieldset>';
+
+		foreach ( $args['factors'] as $factor => $label ) {
+			printf(
+				'<p><input type="number" id="%1$s_weight_%2$s" name="%3$s[%1$s_weights][%2$s]" value="%4$d" min="0" max="100" class="small-text %1$s-weight-input" /> <label for="%1$s_weight_%2$s">%5$s</label></p>',
+				esc_attr( $algorithm ),
+				esc_attr( $factor ),
+				esc_attr( self::SETTINGS_OPTION ),
+				intval( $weights[ $factor ] ?? 0 ),
+				esc_html( $label )
+			);
+		}
+
+		echo '</fieldset>';
+
+		printf( '<div id="%s-weight-total" class="weight-total-display"></div>', esc_attr( $algorithm ) );
+		printf(
+			'<button type="button" class="button button-secondary reset-defaults" data-section="%s">%s</button>',
+			esc_attr( $algorithm ),
+			esc_html__( 'Reset to Defaults', 'wppd-filters' )
+		);
+	}
+
+	/**
+	 * Render usability prior field
+	 */
+	public function render_usability_prior_field() {
+		$settings = $this->get_settings();
+		$prior    = $settings['usability_prior'];
+
+		printf(
+			'<p><input type="number" id="usability_prior_confidence" name="%1$s[usability_prior][confidence]" value="%2$d" min="0" max="10000" class="small-text" /> <label for="usability_prior_confidence">%3$s</label></p>',
+			esc_attr( self::SETTINGS_OPTION ),
+			intval( $prior['confidence'] ),
+			esc_html__( 'Confidence (ratings)', 'wppd-filters' )
+		);
+		echo '<p class="description">' . esc_html__( 'How many ratings a plugin needs before its own average outweighs the prior. Plugins with fewer ratings are marked "few ratings". Use 0 to turn smoothing off.', 'wppd-filters' ) . '</p>';
+
+		printf(
+			'<p><input type="number" id="usability_prior_mean" name="%1$s[usability_prior][mean]" value="%2$s" min="1" max="5" step="0.1" class="small-text" placeholder="%3$s" /> <label for="usability_prior_mean">%4$s</label></p>',
+			esc_attr( self::SETTINGS_OPTION ),
+			esc_attr( $prior['mean'] ),
+			esc_attr__( 'Auto', 'wppd-filters' ),
+			esc_html__( 'Prior mean (stars)', 'wppd-filters' )
+		);
+		echo '<p class="description">' . esc_html__( 'Star rating that plugins with few ratings are pulled toward. Leave empty to use the average rating of the current search results.', 'wppd-filters' ) . '</p>';
+	}
+
 	/**
 	 * Render cache section description
 	 */
@@ -365,6 +628,111 @@ class WPPDFI_Admin_Settings {
 	public function sanitize_settings( $input ) {
 		$sanitized = $this->get_default_settings();
 
+		// Sanitize search settings.
+		if ( isset( $input['search_settings'] ) && is_array( $input['search_settings'] ) ) {
+			$search = $input['search_settings'];
+
+			$sanitized['search_settings']['aggregate_pages'] = ! empty( $search['aggregate_pages'] );
+
+			if ( isset( $search['max_pages'] ) ) {
+				$sanitized['search_settings']['max_pages'] = max( 1, min( 20, intval( $search['max_pages'] ) ) );
+			}
+
+			if ( isset( $search['results_display'] ) && in_array( $search['results_display'], array( 'pagination', 'infinite_scroll' ), true ) ) {
+				$sanitized['search_settings']['results_display'] = $search['results_display'];
+			}
+
+			if ( isset( $search['request_mode'] ) && in_array( $search['request_mode'], array( 'direct', 'proxied' ), true ) ) {
+				$sanitized['search_settings']['request_mode'] = $search['request_mode'];
+			}
+
+			if ( ! empty( $search['api_base_url'] ) ) {
+				$api_base_url = esc_url_raw( trim( $search['api_base_url'] ), array( 'http', 'https' ) );
+
+				if ( $api_base_url ) {
+					$sanitized['search_settings']['api_base_url'] = trailingslashit( $api_base_url );
+				} else {
+					add_settings_error(
+						self::SETTINGS_OPTION,
+						'invalid_api_base_url',
+						__( 'The directory API URL must be a valid http or https URL. The WordPress.org API will be used.', 'wppd-filters' ),
+						'error'
+					);
+				}
+			}
+
+			$sanitized['search_settings']['fixture_mode'] = ! empty( $search['fixture_mode'] );
+
+			if ( ! empty( $search['security_baseline'] ) ) {
+				$security_baseline = trim( $search['security_baseline'] );
+
+				if ( preg_match( '/^\d+\.\d+(\.\d+)?$/', $security_baseline ) ) {
+					$sanitized['search_settings']['security_baseline'] = $security_baseline;
+				} else {
+					add_settings_error(
+						self::SETTINGS_OPTION,
+						'invalid_security_baseline',
+						__( 'The security baseline must be a WordPress version such as 6.7 or 6.7.2.', 'wppd-filters' ),
+						'error'
+					);
+				}
+			}
+		}
+
+		// Sanitize algorithm weights - a set that doesn't add up to 100 falls back to the defaults.
+		$weight_sets = array(
+			'usability_weights' => __( 'Usability rating', 'wppd-filters' ),
+			'health_weights'    => __( 'Health score', 'wppd-filters' ),
+		);
+
+		foreach ( $weight_sets as $set => $set_label ) {
+			if ( ! isset( $input[ $set ] ) || ! is_array( $input[ $set ] ) ) {
+				continue;
+			}
+
+			$weights = array();
+			foreach ( $sanitized[ $set ] as $factor => $default_weight ) {
+				$weights[ $factor ] = isset( $input[ $set ][ $factor ] ) ? max( 0, min( 100, intval( $input[ $set ][ $factor ] ) ) ) : 0;
+			}
+
+			if ( abs( array_sum( $weights ) - 100 ) > 1 ) {
+				add_settings_error(
+					self::SETTINGS_OPTION,
+					"invalid_{$set}",
+					/* translators: %s: algorithm name */
+					sprintf( __( '%s weights must add up to 100%%. The default weights will be used.', 'wppd-filters' ), $set_label ),
+					'error'
+				);
+				continue;
+			}
+
+			$sanitized[ $set ] = $weights;
+		}
+
+		// Sanitize usability prior.
+		if ( isset( $input['usability_prior'] ) && is_array( $input['usability_prior'] ) ) {
+			$prior = $input['usability_prior'];
+
+			if ( isset( $prior['confidence'] ) && '' !== $prior['confidence'] ) {
+				$sanitized['usability_prior']['confidence'] = max( 0, min( 10000, intval( $prior['confidence'] ) ) );
+			}
+
+			if ( isset( $prior['mean'] ) && '' !== trim( $prior['mean'] ) ) {
+				$prior_mean = floatval( $prior['mean'] );
+
+				if ( $prior_mean >= 1 && $prior_mean <= 5 ) {
+					$sanitized['usability_prior']['mean'] = (string) round( $prior_mean, 1 );
+				} else {
+					add_settings_error(
+						self::SETTINGS_OPTION,
+						'invalid_usability_prior',
+						__( 'The usability prior mean must be a star rating between 1 and 5. The average of the search results will be used.', 'wppd-filters' ),
+						'error'
+					);
+				}
+			}
+		}
+
 		// Sanitize cache durations.
 		if ( isset( $input['cache_durations'] ) && is_array( $input['cache_durations'] ) ) {
 			foreach ( $sanitized['cache_durations'] as $key => $default_value ) {
@@ -382,7 +750,22 @@ class WPPDFI_Admin_Settings {
 	 */
 	private function get_default_settings() {
 		return array(
-			'cache_durations' => array(
+			'search_settings'   => array(
+				'aggregate_pages'   => true,
+				'max_pages'         => 5,
+				'results_display'   => 'pagination',
+				'request_mode'      => 'direct',
+				'api_base_url'      => WPPDFI_API_Handler::API_BASE_URL,
+				'fixture_mode'      => false,
+				'security_baseline' => '',
+			),
+			'usability_weights' => WPPDFI_Rating_Calculator::DEFAULT_WEIGHTS,
+			'health_weights'    => WPPDFI_Health_Calculator::DEFAULT_WEIGHTS,
+			'usability_prior'   => array(
+				'mean'       => '',
+				'confidence' => 100,
+			),
+			'cache_durations'   => array(
 				'plugin_metadata'    => 86400,    // 24 hours
 				'calculated_ratings' => 21600, // 6 hours
 				'search_results'     => 3600,      // 1 hour
@@ -395,7 +778,10 @@ class WPPDFI_Admin_Settings {
 	 * Get current settings
 	 */
 	public function get_settings() {
-		return get_option( self::SETTINGS_OPTION, $this->get_default_settings() );
+		$settings = get_option( self::SETTINGS_OPTION, array() );
+
+		// Merge over defaults so settings added in later versions are always present.
+		return array_replace_recursive( $this->get_default_settings(), is_array( $settings ) ? $settings : array() );
 	}
 
 	/**
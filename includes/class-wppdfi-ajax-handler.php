@@ -19,6 +19,61 @@ class WPPDFI_AJAX_Handler {
 	 */
 	const RATE_LIMIT_PER_MINUTE = 30;
 
+	/**
+	 * User meta key of the per-user plugin shortlist.
+	 */
+	const SHORTLIST_META_KEY = 'wppdfi_shortlist';
+
+	/**
+	 * Maximum number of plugins in a shortlist.
+	 */
+	const SHORTLIST_MAX = 50;
+
+	/**
+	 * How long the details of a listed plugin are cached, so reopening a list doesn't use up the API rate limit.
+	 */
+	const PLUGIN_LIST_DETAILS_TTL = 21600;
+
+	/**
+	 * User meta key of the plugins a user has hidden from search results.
+	 */
+	const HIDDEN_PLUGINS_META_KEY = 'wppdfi_hidden_plugins';
+
+	/**
+	 * Maximum number of hidden plugins.
+	 */
+	const HIDDEN_PLUGINS_MAX = 200;
+
+	/**
+	 * User meta key of a user's saved filter presets.
+	 */
+	const PRESETS_META_KEY = 'wppdfi_presets';
+
+	/**
+	 * Option holding the filter presets published to every user.
+	 */
+	const SITE_PRESETS_OPTION = 'wppdfi_site_presets';
+
+	/**
+	 * Maximum number of presets per user, and of site-wide presets.
+	 */
+	const PRESETS_MAX = 20;
+
+	/**
+	 * Range filters a preset can bound, as sent by the filter bar.
+	 */
+	const PRESET_RANGES = array( 'installs', 'rating', 'usability', 'health' );
+
+	/**
+	 * Update timeframes offered by the filter bar.
+	 */
+	const PRESET_TIMEFRAMES = array( 'all', 'last_month', 'last_3months', 'last_year' );
+
+	/**
+	 * Sort fields offered by every sort level of the filter bar - the first level also offers relevance and best_match.
+	 */
+	const PRESET_SORT_FIELDS = array( 'installations', 'rating', 'updated', 'usability_rating', 'health_score' );
+
 	/**
 	 * Security handler instance.
 	 *
@@ -35,7 +90,7 @@ class WPPDFI_AJAX_Handler {
 			define( 'WPPDFI_PLUGIN_DIR', plugin_dir_path( dirname( __FILE__ ) ) );
 		}
 
-		require_once WPPDFI_PLUGIN_DIR . 'includes/class-security-handler.php';
+		require_once WPPDFI_PLUGIN_DIR . 'includes/class-wppdfi-security-handler.php';
 		$this->security_handler = new WPPDFI_Security_Handler();
 	}
 
@@ -336,6 +391,432 @@ class WPPDFI_AJAX_Handler {
 		}
 	}
 
+	/**
+	 * Handle shortlist request.
+	 *
+	 * Reads or changes the current user's shortlist, or fetches the shortlisted plugins for the proxied request mode.
+	 */
+	public function handle_shortlist_request() {
+		$this->handle_plugin_list_request( 'wppdfi_shortlist_action', self::SHORTLIST_META_KEY, self::SHORTLIST_MAX, array( 'import', 'details' ) );
+	}
+
+	/**
+	 * Handle hidden plugins request.
+	 *
+	 * Reads or changes the plugins the current user has hidden from search results.
+	 */
+	public function handle_hidden_plugins_request() {
+		$this->handle_plugin_list_request( 'wppdfi_hidden_plugins_action', self::HIDDEN_PLUGINS_META_KEY, self::HIDDEN_PLUGINS_MAX, array() );
+	}
+
+	/**
+	 * Read or change a per-user list of plugin slugs kept in user meta
+	 *
+	 * Every list supports get, add, remove and clear. Import and details are only allowed when listed in $extra_operations.
+	 *
+	 * @param string $nonce_action     Nonce action to verify.
+	 * @param string $meta_key         User meta key of the list.
+	 * @param int    $max              Maximum number of plugins in the list.
+	 * @param array  $extra_operations Additional operations this list supports.
+	 */
+	private function handle_plugin_list_request( $nonce_action, $meta_key, $max, $extra_operations ) {
+		// Security validation.
+		$security_check = $this->security_handler->validate_ajax_request( $nonce_action, 'install_plugins' );
+		if ( is_wp_error( $security_check ) ) {
+			wp_send_json_error(
+				array(
+					'message' => $security_check->get_error_message(),
+					'code'    => $security_check->get_error_code(),
+				),
+				403
+			);
+		}
+
+		$user_id = get_current_user_id();
+		$slugs   = self::get_plugin_list( $meta_key, $user_id );
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via security_handler
+		$operation = sanitize_key( $_POST['operation'] ?? 'get' );
+
+		if ( ! in_array( $operation, array_merge( array( 'get', 'add', 'remove', 'clear' ), $extra_operations ), true ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Unknown list operation', 'wppd-filters' ),
+					'code'    => 'invalid_operation',
+				),
+				400
+			);
+		}
+
+		switch ( $operation ) {
+			case 'get':
+				wp_send_json_success( array( 'slugs' => $slugs ) );
+				break;
+
+			case 'add':
+			case 'remove':
+				// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via security_handler
+				$slug = $this->security_handler->validate_plugin_slug( sanitize_text_field( wp_unslash( $_POST['slug'] ?? '' ) ) );
+				if ( is_wp_error( $slug ) ) {
+					wp_send_json_error(
+						array(
+							'message' => $slug->get_error_message(),
+							'code'    => $slug->get_error_code(),
+						),
+						400
+					);
+				}
+
+				$slugs = array_values( array_diff( $slugs, array( $slug ) ) );
+
+				if ( 'add' === $operation ) {
+					if ( $max <= count( $slugs ) ) {
+						wp_send_json_error(
+							array(
+								/* translators: %d: maximum number of plugins in the list */
+								'message' => sprintf( __( 'This list is full. It can hold up to %d plugins.', 'wppd-filters' ), $max ),
+								'code'    => 'list_full',
+							),
+							400
+						);
+					}
+					$slugs[] = $slug;
+				}
+				break;
+
+			case 'clear':
+				$slugs = array();
+				break;
+
+			case 'import':
+				// Decoded first, sanitize_text_field() would corrupt the JSON - every slug is validated by sanitize_slug_list() below.
+				// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified above via security_handler
+				$imported = json_decode( wp_unslash( $_POST['slugs'] ?? '' ), true );
+				if ( ! is_array( $imported ) ) {
+					wp_send_json_error(
+						array(
+							'message' => __( 'The imported file could not be read.', 'wppd-filters' ),
+							'code'    => 'invalid_import',
+						),
+						400
+					);
+				}
+
+				// Imported plugins are added to the ones already in the list.
+				$slugs = array_slice( array_values( array_unique( array_merge( $slugs, $this->sanitize_slug_list( $imported ) ) ) ), 0, $max );
+				break;
+
+			case 'details':
+				$this->send_plugin_list_details( $slugs );
+				break;
+		}
+
+		update_user_meta( $user_id, $meta_key, $slugs );
+
+		wp_send_json_success( array( 'slugs' => $slugs ) );
+	}
+
+	/**
+	 * Get a user's shortlist of plugin slugs
+	 *
+	 * @param int $user_id User ID, defaults to the current user.
+	 * @return array Plugin slugs.
+	 */
+	public static function get_shortlist( $user_id = 0 ) {
+		return self::get_plugin_list( self::SHORTLIST_META_KEY, $user_id );
+	}
+
+	/**
+	 * Get the slugs of the plugins a user has hidden from search results
+	 *
+	 * @param int $user_id User ID, defaults to the current user.
+	 * @return array Plugin slugs.
+	 */
+	public static function get_hidden_plugins( $user_id = 0 ) {
+		return self::get_plugin_list( self::HIDDEN_PLUGINS_META_KEY, $user_id );
+	}
+
+	/**
+	 * Get a per-user list of plugin slugs from user meta
+	 *
+	 * @param string $meta_key User meta key of the list.
+	 * @param int    $user_id  User ID, defaults to the current user.
+	 * @return array Plugin slugs.
+	 */
+	private static function get_plugin_list( $meta_key, $user_id = 0 ) {
+		$slugs = get_user_meta( $user_id ? $user_id : get_current_user_id(), $meta_key, true );
+
+		return is_array( $slugs ) ? array_values( $slugs ) : array();
+	}
+
+	/**
+	 * Send the details of the listed plugins in the shape of a wppdfi_filter response
+	 *
+	 * Details are cached per plugin. Once the API rate limit is reached the remaining uncached plugins
+	 * are reported as rate limited rather than missing.
+	 *
+	 * @param array $slugs Plugin slugs.
+	 */
+	private function send_plugin_list_details( $slugs ) {
+		$api_handler  = new WPPDFI_API_Handler();
+		$plugins      = array();
+		$missing      = array();
+		$rate_limited = array();
+
+		foreach ( $slugs as $slug ) {
+			$cache_key      = 'wppdfi_list_details_' . $slug;
+			$plugin_details = get_transient( $cache_key );
+
+			if ( false === $plugin_details ) {
+				if ( ! empty( $rate_limited ) ) {
+					$rate_limited[] = $slug;
+					continue;
+				}
+
+				$plugin_details = $api_handler->get_plugin_details( $slug );
+
+				if ( is_wp_error( $plugin_details ) ) {
+					if ( 'rate_limit_exceeded' === $plugin_details->get_error_code() ) {
+						$rate_limited[] = $slug;
+					} else {
+						$missing[] = $slug;
+					}
+					continue;
+				}
+
+				set_transient( $cache_key, $plugin_details, self::PLUGIN_LIST_DETAILS_TTL );
+			}
+
+			$plugins[] = $plugin_details;
+		}
+
+		wp_send_json_success(
+			array(
+				'plugins'      => $plugins,
+				'missing'      => $missing,
+				'rate_limited' => $rate_limited,
+				'pagination'   => array(
+					'current_page'  => 1,
+					'total_pages'   => 1,
+					'total_results' => count( $plugins ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Keep the valid, unique plugin slugs of a list
+	 *
+	 * @param array $slugs Raw plugin slugs.
+	 * @return array Valid plugin slugs.
+	 */
+	private function sanitize_slug_list( $slugs ) {
+		$valid = array();
+
+		foreach ( $slugs as $slug ) {
+			if ( ! is_string( $slug ) ) {
+				continue;
+			}
+
+			$slug = $this->security_handler->validate_plugin_slug( $slug );
+			if ( ! is_wp_error( $slug ) && ! in_array( $slug, $valid, true ) ) {
+				$valid[] = $slug;
+			}
+		}
+
+		return $valid;
+	}
+
+	/**
+	 * Handle filter preset request.
+	 *
+	 * Saves or deletes one of the current user's presets, or a site-wide preset when the user can manage options.
+	 */
+	public function handle_presets_request() {
+		// Security validation.
+		$security_check = $this->security_handler->validate_ajax_request( 'wppdfi_presets_action', 'install_plugins' );
+		if ( is_wp_error( $security_check ) ) {
+			wp_send_json_error(
+				array(
+					'message' => $security_check->get_error_message(),
+					'code'    => $security_check->get_error_code(),
+				),
+				403
+			);
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via security_handler
+		$operation = sanitize_key( $_POST['operation'] ?? '' );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via security_handler
+		$scope = 'site' === sanitize_key( $_POST['scope'] ?? 'user' ) ? 'site' : 'user';
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above via security_handler
+		$name = substr( trim( sanitize_text_field( wp_unslash( $_POST['name'] ?? '' ) ) ), 0, 60 );
+
+		if ( ! in_array( $operation, array( 'save', 'delete' ), true ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Unknown preset operation', 'wppd-filters' ),
+					'code'    => 'invalid_operation',
+				),
+				400
+			);
+		}
+
+		if ( 'site' === $scope && ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'You do not have permission to change site-wide presets', 'wppd-filters' ),
+					'code'    => 'insufficient_permissions',
+				),
+				403
+			);
+		}
+
+		if ( '' === $name ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Please give the preset a name.', 'wppd-filters' ),
+					'code'    => 'invalid_preset',
+				),
+				400
+			);
+		}
+
+		$presets = 'site' === $scope ? self::get_site_presets() : self::get_user_presets();
+
+		// Presets are identified by name, saving under an existing name replaces that preset.
+		$presets = array_values(
+			array_filter(
+				$presets,
+				function ( $preset ) use ( $name ) {
+					return $preset['name'] !== $name;
+				}
+			)
+		);
+
+		if ( 'save' === $operation ) {
+			// Decoded first, sanitize_text_field() would corrupt the JSON - every field is sanitized by sanitize_preset_filters() below.
+			// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified above via security_handler
+			$filters = json_decode( wp_unslash( $_POST['filters'] ?? '' ), true );
+			if ( ! is_array( $filters ) ) {
+				wp_send_json_error(
+					array(
+						'message' => __( 'The preset filters could not be read.', 'wppd-filters' ),
+						'code'    => 'invalid_preset',
+					),
+					400
+				);
+			}
+
+			if ( self::PRESETS_MAX <= count( $presets ) ) {
+				wp_send_json_error(
+					array(
+						/* translators: %d: maximum number of presets */
+						'message' => sprintf( __( 'There can be up to %d presets. Delete one to save another.', 'wppd-filters' ), self::PRESETS_MAX ),
+						'code'    => 'list_full',
+					),
+					400
+				);
+			}
+
+			$presets[] = array(
+				'name'    => $name,
+				'filters' => $this->sanitize_preset_filters( $filters ),
+			);
+		}
+
+		if ( 'site' === $scope ) {
+			update_option( self::SITE_PRESETS_OPTION, $presets, false );
+		} else {
+			update_user_meta( get_current_user_id(), self::PRESETS_META_KEY, $presets );
+		}
+
+		wp_send_json_success(
+			array(
+				'presets' => array(
+					'user' => self::get_user_presets(),
+					'site' => self::get_site_presets(),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Get a user's saved filter presets
+	 *
+	 * @param int $user_id User ID, defaults to the current user.
+	 * @return array Presets, each with a name and its filters.
+	 */
+	public static function get_user_presets( $user_id = 0 ) {
+		$presets = get_user_meta( $user_id ? $user_id : get_current_user_id(), self::PRESETS_META_KEY, true );
+
+		return is_array( $presets ) ? array_values( $presets ) : array();
+	}
+
+	/**
+	 * Get the filter presets published to every user
+	 *
+	 * @return array Presets, each with a name and its filters.
+	 */
+	public static function get_site_presets() {
+		$presets = get_option( self::SITE_PRESETS_OPTION, array() );
+
+		return is_array( $presets ) ? array_values( $presets ) : array();
+	}
+
+	/**
+	 * Keep the known filter bar fields of a preset
+	 *
+	 * The search term and paging are not part of a preset, it applies to whatever is searched next.
+	 *
+	 * @param array $filters Raw filter data.
+	 * @return array Sanitized filter data.
+	 */
+	private function sanitize_preset_filters( $filters ) {
+		$timeframe = $filters['update_timeframe'] ?? 'all';
+		$sanitized = array(
+			'update_timeframe' => in_array( $timeframe, self::PRESET_TIMEFRAMES, true ) ? $timeframe : 'all',
+			'tags'             => $this->sanitize_text_list( $filters['tags'] ?? array() ),
+			'tag_mode'         => 'and' === ( $filters['tag_mode'] ?? 'or' ) ? 'and' : 'or',
+			'author_include'   => $this->sanitize_text_list( $filters['author_include'] ?? array() ),
+			'author_exclude'   => $this->sanitize_text_list( $filters['author_exclude'] ?? array() ),
+			'compatible_only'  => true === ( $filters['compatible_only'] ?? false ),
+		);
+
+		foreach ( array( '', '_2', '_3' ) as $suffix ) {
+			$sort_fields = '' === $suffix ? array_merge( array( 'relevance', 'best_match' ), self::PRESET_SORT_FIELDS ) : self::PRESET_SORT_FIELDS;
+			$sort_by     = $filters[ 'sort_by' . $suffix ] ?? '';
+
+			$sanitized[ 'sort_by' . $suffix ]        = in_array( $sort_by, $sort_fields, true ) ? $sort_by : '';
+			$sanitized[ 'sort_direction' . $suffix ] = 'asc' === ( $filters[ 'sort_direction' . $suffix ] ?? 'desc' ) ? 'asc' : 'desc';
+		}
+
+		foreach ( self::PRESET_RANGES as $range ) {
+			foreach ( array( '_min', '_max' ) as $bound ) {
+				$value                        = $filters[ $range . $bound ] ?? null;
+				$sanitized[ $range . $bound ] = is_numeric( $value ) ? (float) $value : null;
+			}
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Keep the non-empty strings of a list, such as tags or author names
+	 *
+	 * @param mixed $values Raw values.
+	 * @return array Sanitized values.
+	 */
+	private function sanitize_text_list( $values ) {
+		if ( ! is_array( $values ) ) {
+			return array();
+		}
+
+		$values = array_map( 'sanitize_text_field', array_filter( $values, 'is_string' ) );
+
+		return array_slice( array_values( array_unique( array_filter( $values, 'strlen' ) ) ), 0, 50 );
+	}
+
 	/**
 	 * Execute filtered plugin search
 	 *
@@ -375,14 +856,15 @@ class WPPDFI_AJAX_Handler {
 		// Apply sorting.
 		$sorted_plugins = $this->sort_plugins( $enhanced_plugins, $request_data );
 
-		// Format response.
+		// Format response - pagination follows the directory so clients can request further pages.
 		$response = array(
 			'plugins'         => $sorted_plugins,
 			'pagination'      => array(
-				'current_page'  => $request_data['page'],
-				'total_pages'   => ceil( count( $filtered_plugins ) / $request_data['per_page'] ),
-				'total_results' => count( $filtered_plugins ),
-				'per_page'      => $request_data['per_page'],
+				'current_page'     => $api_results['info']['page'] ? $api_results['info']['page'] : $request_data['page'],
+				'total_pages'      => max( 1, $api_results['info']['pages'] ),
+				'total_results'    => $api_results['info']['results'],
+				'filtered_results' => count( $filtered_plugins ),
+				'per_page'         => $request_data['per_page'],
 			),
 			'filters_applied' => $this->get_applied_filters( $request_data ),
 			'cache_info'      => array(
@@ -34,6 +34,36 @@ class WPPDFI_API_Handler {
 	 */
 	const RATE_LIMIT_PER_MINUTE = 60;
 
+	/**
+	 * Canned query_plugins response served in fixture mode, relative to the plugin directory
+	 */
+	const FIXTURE_FILE = 'assets/fixtures/query-plugins.json';
+
+	/**
+	 * API base URL in use (the configured mirror or WordPress.org).
+	 *
+	 * @var string
+	 */
+	private $api_base_url;
+
+	/**
+	 * Whether responses are served from the local fixture instead of the API.
+	 *
+	 * @var bool
+	 */
+	private $fixture_mode;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		$settings        = get_option( 'wppdfi_settings', array() );
+		$search_settings = isset( $settings['search_settings'] ) ? $settings['search_settings'] : array();
+
+		$this->api_base_url = ! empty( $search_settings['api_base_url'] ) ? trailingslashit( $search_settings['api_base_url'] ) : self::API_BASE_URL;
+		$this->fixture_mode = ! empty( $search_settings['fixture_mode'] );
+	}
+
 	/**
 	 * Search plugins via WordPress.org API
 	 *
@@ -70,6 +100,7 @@ class WPPDFI_API_Handler {
 				'description'              => false,
 				'tested'                   => true,
 				'requires'                 => true,
+				'requires_php'             => true,
 				'rating'                   => true,
 				'ratings'                  => true,
 				'downloaded'               => true,
@@ -156,6 +187,7 @@ class WPPDFI_API_Handler {
 				'description'              => true,
 				'tested'                   => true,
 				'requires'                 => true,
+				'requires_php'             => true,
 				'rating'                   => true,
 				'ratings'                  => true,
 				'downloaded'               => true,
@@ -200,13 +232,17 @@ class WPPDFI_API_Handler {
 	 * @return array|WP_Error API response or error
 	 */
 	private function make_api_request( $action, $request_args ) {
+		if ( $this->fixture_mode ) {
+			return $this->get_fixture_response( $action, $request_args );
+		}
+
 		// WordPress.org API uses GET with query parameters, not POST.
 		$query_args = array(
 			'action'  => $action,
 			'request' => wp_json_encode( $request_args ),
 		);
 
-		$api_url = add_query_arg( $query_args, self::API_BASE_URL );
+		$api_url = add_query_arg( $query_args, $this->api_base_url );
 
 		$response = wp_remote_get(
 			$api_url,
@@ -248,6 +284,60 @@ class WPPDFI_API_Handler {
 		return $data;
 	}
 
+	/**
+	 * Serve an API response from the bundled fixture file
+	 *
+	 * @param string $action       API action.
+	 * @param array  $request_args Request arguments.
+	 * @return array|WP_Error Response in the WordPress.org API format or error
+	 */
+	private function get_fixture_response( $action, $request_args ) {
+		$fixture_path = WPPDFI_PLUGIN_DIR . self::FIXTURE_FILE;
+		// wp_json_file_decode() needs WordPress 5.9, the plugin still supports 5.8.
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Reading a bundled local file.
+		$fixture = is_readable( $fixture_path ) ? json_decode( file_get_contents( $fixture_path ), true ) : null;
+
+		if ( ! is_array( $fixture ) || ! isset( $fixture['plugins'] ) ) {
+			return new WP_Error( 'fixture_error', __( 'The API fixture file is missing or invalid.', 'wppd-filters' ) );
+		}
+
+		if ( 'plugin_information' === $action ) {
+			foreach ( $fixture['plugins'] as $plugin ) {
+				if ( $plugin['slug'] === ( $request_args['slug'] ?? '' ) ) {
+					return $plugin;
+				}
+			}
+			return new WP_Error( 'plugin_not_found', __( 'Plugin not found in the API fixture.', 'wppd-filters' ) );
+		}
+
+		// Mimic the directory search: match the term against name, slug, description and tags.
+		$search  = strtolower( trim( $request_args['search'] ?? '' ) );
+		$plugins = array_values(
+			array_filter(
+				$fixture['plugins'],
+				function( $plugin ) use ( $search ) {
+					if ( '' === $search ) {
+						return true;
+					}
+					$haystack = strtolower( $plugin['name'] . ' ' . $plugin['slug'] . ' ' . $plugin['short_description'] . ' ' . implode( ' ', array_keys( (array) $plugin['tags'] ) ) );
+					return false !== strpos( $haystack, $search );
+				}
+			)
+		);
+
+		$per_page = max( 1, absint( $request_args['per_page'] ?? 24 ) );
+		$page     = max( 1, absint( $request_args['page'] ?? 1 ) );
+
+		return array(
+			'info'    => array(
+				'page'    => $page,
+				'pages'   => (int) ceil( count( $plugins ) / $per_page ),
+				'results' => count( $plugins ),
+			),
+			'plugins' => array_slice( $plugins, ( $page - 1 ) * $per_page, $per_page ),
+		);
+	}
+
 	/**
 	 * Process search response
 	 *
@@ -312,11 +402,12 @@ class WPPDFI_API_Handler {
 			'added'                    => sanitize_text_field( $plugin['added'] ?? '' ),
 			'tested'                   => sanitize_text_field( $plugin['tested'] ?? '' ),
 			'requires'                 => sanitize_text_field( $plugin['requires'] ?? '' ),
+			'requires_php'             => sanitize_text_field( $plugin['requires_php'] ?? '' ),
 			'short_description'        => wp_kses_post( $plugin['short_description'] ?? '' ),
 			'description'              => wp_kses_post( $plugin['description'] ?? '' ),
 			'homepage'                 => esc_url_raw( $plugin['homepage'] ?? '' ),
 			'download_link'            => esc_url_raw( $plugin['download_link'] ?? '' ),
-			'tags'                     => is_array( $plugin['tags'] ) ? array_map( 'sanitize_key', $plugin['tags'] ) : array(),
+			'tags'                     => is_array( $plugin['tags'] ) ? $this->sanitize_plugin_tags( $plugin['tags'] ) : array(),
 			'support_threads'          => absint( $plugin['support_threads'] ?? 0 ),
 			'support_threads_resolved' => absint( $plugin['support_threads_resolved'] ?? 0 ),
 			'downloaded'               => absint( $plugin['downloaded'] ?? 0 ),
@@ -325,6 +416,33 @@ class WPPDFI_API_Handler {
 		);
 	}
 
+	/**
+	 * Sanitize a plugin's tags, a map of tag slugs to display names
+	 *
+	 * Keys go through sanitize_key(), the names stay readable for the facet chips.
+	 *
+	 * @param array $tags Raw tags.
+	 * @return array Sanitized tags
+	 */
+	private function sanitize_plugin_tags( $tags ) {
+		$sanitized = array();
+
+		foreach ( $tags as $slug => $label ) {
+			if ( ! is_scalar( $label ) ) {
+				continue;
+			}
+
+			$label = sanitize_text_field( $label );
+			if ( is_int( $slug ) ) {
+				$sanitized[] = $label;
+			} else {
+				$sanitized[ sanitize_key( $slug ) ] = $label;
+			}
+		}
+
+		return $sanitized;
+	}
+
 	/**
 	 * Check API rate limiting
 	 *
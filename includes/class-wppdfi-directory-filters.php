@@ -74,6 +74,9 @@ class WPPDFI_Directory_Filters {
 		add_action( 'wp_ajax_wppdfi_sort', array( $this, 'handle_sort_request' ) );
 		add_action( 'wp_ajax_wppdfi_rating', array( $this, 'handle_rating_calculation' ) );
 		add_action( 'wp_ajax_wppdfi_clear_cache', array( $this, 'handle_cache_clear' ) );
+		add_action( 'wp_ajax_wppdfi_shortlist', array( $this, 'handle_shortlist_request' ) );
+		add_action( 'wp_ajax_wppdfi_hidden_plugins', array( $this, 'handle_hidden_plugins_request' ) );
+		add_action( 'wp_ajax_wppdfi_presets', array( $this, 'handle_presets_request' ) );
 
 		// Debug AJAX endpoint.
 		add_action( 'wp_ajax_wppdfi_test', array( $this, 'handle_test_request' ) );
@@ -138,24 +141,105 @@ class WPPDFI_Directory_Filters {
 			true
 		);
 
+		$settings        = $this->admin_settings->get_settings();
+		$search_settings = $settings['search_settings'];
+
 		// Localize script with WordPress admin data.
 		wp_localize_script(
 			'wppd-filters',
 			'wpPluginFilters',
 			array(
-				'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
-				'pluginUrl' => WPPDFI_PLUGIN_URL,
-				'nonces'    => array(
+				'ajaxUrl'           => admin_url( 'admin-ajax.php' ),
+				'pluginUrl'         => WPPDFI_PLUGIN_URL,
+				'nonces'            => array(
 					'filter_plugins'   => wp_create_nonce( 'wppdfi_filter_action' ),
 					'sort_plugins'     => wp_create_nonce( 'wppdfi_sort_action' ),
 					'calculate_rating' => wp_create_nonce( 'wppdfi_rating_action' ),
 					'clear_cache'      => wp_create_nonce( 'wppdfi_clear_cache' ),
+					'shortlist'        => wp_create_nonce( 'wppdfi_shortlist_action' ),
+					'hidden_plugins'   => wp_create_nonce( 'wppdfi_hidden_plugins_action' ),
+					'presets'          => wp_create_nonce( 'wppdfi_presets_action' ),
+				),
+				'shortlist'         => WPPDFI_AJAX_Handler::get_shortlist(),
+				'hiddenPlugins'     => WPPDFI_AJAX_Handler::get_hidden_plugins(),
+				'presets'           => array(
+					'user' => WPPDFI_AJAX_Handler::get_user_presets(),
+					'site' => WPPDFI_AJAX_Handler::get_site_presets(),
+				),
+				'canPublishPresets' => current_user_can( 'manage_options' ),
+				'site'              => array(
+					'wpVersion'        => get_bloginfo( 'version' ),
+					'latestWpVersion'  => $this->get_latest_core_version(),
+					'securityBaseline' => $search_settings['security_baseline'],
+					'phpVersion'       => PHP_MAJOR_VERSION . '.' . PHP_MINOR_VERSION . '.' . PHP_RELEASE_VERSION,
+				),
+				'weights'           => array(
+					'usability' => array_map( 'intval', $settings['usability_weights'] ),
+					'health'    => array_map( 'intval', $settings['health_weights'] ),
 				),
-				'strings'   => array(
-					'loading'   => __( 'Loading...', 'wppd-filters' ),
-					'error'     => __( 'An error occurred. Please try again.', 'wppd-filters' ),
-					'noResults' => __( 'No plugins found matching your criteria.', 'wppd-filters' ),
-					'rateLimit' => __( 'Too many requests. Please slow down.', 'wppd-filters' ),
+				'usabilityPrior'    => array(
+					'mean'       => '' === $settings['usability_prior']['mean'] ? null : (float) $settings['usability_prior']['mean'],
+					'confidence' => (int) $settings['usability_prior']['confidence'],
+				),
+				'settings'          => array(
+					'aggregatePages' => (bool) $search_settings['aggregate_pages'],
+					'maxPages'       => (int) $search_settings['max_pages'],
+					'resultsDisplay' => $search_settings['results_display'],
+					'cacheTtl'       => (int) $settings['cache_durations']['search_results'],
+					'requestMode'    => $search_settings['request_mode'],
+					'apiBaseUrl'     => $search_settings['api_base_url'],
+					'fixtureMode'    => (bool) $search_settings['fixture_mode'],
+					'fixtureUrl'     => WPPDFI_PLUGIN_URL . WPPDFI_API_Handler::FIXTURE_FILE,
+				),
+				'strings'           => array(
+					'loading'              => __( 'Loading...', 'wppd-filters' ),
+					'error'                => __( 'An error occurred. Please try again.', 'wppd-filters' ),
+					'noResults'            => __( 'No plugins found matching your criteria.', 'wppd-filters' ),
+					'rateLimit'            => __( 'Too many requests. Please slow down.', 'wppd-filters' ),
+					/* translators: %1$d: current result page, %2$d: total result pages */
+					'loadingPages'         => __( 'Loading results: page %1$d of %2$d…', 'wppd-filters' ),
+					/* translators: %1$d: first plugin shown, %2$d: last plugin shown, %3$d: total matching plugins */
+					'showingResults'       => __( 'Showing %1$d–%2$d of %3$d plugins', 'wppd-filters' ),
+					'firstPage'            => __( 'First page', 'wppd-filters' ),
+					'previousPage'         => __( 'Previous page', 'wppd-filters' ),
+					'nextPage'             => __( 'Next page', 'wppd-filters' ),
+					'lastPage'             => __( 'Last page', 'wppd-filters' ),
+					'currentPage'          => __( 'Current page', 'wppd-filters' ),
+					/* translators: %s: total number of result pages */
+					'pagingOf'             => _x( 'of %s', 'paging', 'wppd-filters' ),
+					'loadingMore'          => __( 'Loading more plugins…', 'wppd-filters' ),
+					'allLoaded'            => __( 'All matching plugins are shown.', 'wppd-filters' ),
+					'loadMore'             => __( 'Load more', 'wppd-filters' ),
+					'noRecentMatches'      => __( 'No matching plugins on the last result pages.', 'wppd-filters' ),
+					/* translators: %d: age of the cached results in minutes */
+					'cachedResults'        => __( 'Showing results from %d min ago.', 'wppd-filters' ),
+					'cachedJustNow'        => __( 'Showing results cached less than a minute ago.', 'wppd-filters' ),
+					'refresh'              => __( 'Refresh', 'wppd-filters' ),
+					'connectionRetry'      => __( 'Could not reach WordPress.org.', 'wppd-filters' ),
+					/* translators: %d: seconds until the next attempt */
+					'retryingIn'           => __( 'Retrying in %d seconds…', 'wppd-filters' ),
+					/* translators: %s: search query token */
+					'queryUnknownField'    => __( 'Unknown filter %s.', 'wppd-filters' ),
+					/* translators: %s: search query token */
+					'queryInvalidValue'    => __( 'Could not read the value of %s.', 'wppd-filters' ),
+					/* translators: %s: search query token */
+					'queryUnclosedQuote'   => __( 'Missing closing quote in %s.', 'wppd-filters' ),
+					'shortlistEmpty'       => __( 'Your shortlist is empty. Star plugins to add them.', 'wppd-filters' ),
+					'shortlistInvalid'     => __( 'The shortlist file could not be read.', 'wppd-filters' ),
+					/* translators: %d: number of plugins added to the shortlist */
+					'shortlistImported'    => __( 'Added %d plugins to your shortlist.', 'wppd-filters' ),
+					/* translators: %d: number of shortlisted plugins that could not be loaded */
+					'shortlistRateLimited' => __( '%d shortlisted plugins could not be loaded because of the WordPress.org rate limit. Try again in a minute.', 'wppd-filters' ),
+					/* translators: %s: preset name */
+					'presetSaved'          => __( 'Saved the preset “%s”.', 'wppd-filters' ),
+					/* translators: %s: preset name */
+					'presetDeleteConfirm'  => __( 'Delete the preset “%s”?', 'wppd-filters' ),
+					'presetNameRequired'   => __( 'Please give the preset a name.', 'wppd-filters' ),
+					'linkCopied'           => __( 'Link copied. It opens this search with the same filters.', 'wppd-filters' ),
+					/* translators: %s: link to the current search and filters */
+					'linkCopyManual'       => __( 'Copy this link: %s', 'wppd-filters' ),
+					'querySyntax'          => __( 'Search syntax: -word, "exact phrase", installs:>50k, rating:>=4, usability:60..90, health:>=70, tag:gdpr, author:"Name", -author:"Name". Filters narrow a keyword search, so include at least one word or "phrase".', 'wppd-filters' ),
+					'queryNeedsKeyword'    => __( 'Filters like installs:>50k narrow a keyword search. Add at least one word or "phrase" to search for.', 'wppd-filters' ),
 				),
 			)
 		);
@@ -169,6 +253,28 @@ class WPPDFI_Directory_Filters {
 		);
 	}
 
+	/**
+	 * Get the latest WordPress release known to this site
+	 *
+	 * Reads the core update check WordPress already stores, so no extra request is made.
+	 *
+	 * @return string Latest core version, or the installed version when no update data exists.
+	 */
+	private function get_latest_core_version() {
+		$latest      = get_bloginfo( 'version' );
+		$update_core = get_site_transient( 'update_core' );
+
+		if ( ! empty( $update_core->updates ) && is_array( $update_core->updates ) ) {
+			foreach ( $update_core->updates as $update ) {
+				if ( ! empty( $update->current ) && version_compare( $update->current, $latest, '>' ) ) {
+					$latest = $update->current;
+				}
+			}
+		}
+
+		return $latest;
+	}
+
 	/**
 	 * Add admin menu
 	 */
@@ -237,6 +343,30 @@ class WPPDFI_Directory_Filters {
 		$ajax_handler->handle_cache_clear();
 	}
 
+	/**
+	 * Handle shortlist requests
+	 */
+	public function handle_shortlist_request() {
+		$ajax_handler = new WPPDFI_AJAX_Handler();
+		$ajax_handler->handle_shortlist_request();
+	}
+
+	/**
+	 * Handle hidden plugins requests
+	 */
+	public function handle_hidden_plugins_request() {
+		$ajax_handler = new WPPDFI_AJAX_Handler();
+		$ajax_handler->handle_hidden_plugins_request();
+	}
+
+	/**
+	 * Handle filter preset requests
+	 */
+	public function handle_presets_request() {
+		$ajax_handler = new WPPDFI_AJAX_Handler();
+		$ajax_handler->handle_presets_request();
+	}
+
 	/**
 	 * Handle test AJAX request (for debugging)
 	 */
@@ -38,6 +38,9 @@ class WPPDFI_Uninstaller {
 				self::uninstall_single_site();
 			}
 
+			// User meta is shared by every site of a network, remove it once.
+			self::remove_user_meta();
+
 			// Final cleanup.
 			self::final_cleanup();
 
@@ -118,6 +121,7 @@ class WPPDFI_Uninstaller {
 			'wppdfi_api_status',
 			'wppdfi_last_cleanup',
 			'wppdfi_statistics',
+			'wppdfi_site_presets',
 		);
 
 		foreach ( $options_to_remove as $option ) {
@@ -143,6 +147,21 @@ class WPPDFI_Uninstaller {
 		wp_cache_delete_multiple( $known_options, 'options' );
 	}
 
+	/**
+	 * Remove per-user plugin data from every user
+	 */
+	private static function remove_user_meta() {
+		$user_meta_keys = array(
+			'wppdfi_shortlist',
+			'wppdfi_hidden_plugins',
+			'wppdfi_presets',
+		);
+
+		foreach ( $user_meta_keys as $meta_key ) {
+			delete_metadata( 'user', 0, $meta_key, '', true );
+		}
+	}
+
 	/**
 	 * Remove network options for multisite
 	 */
@@ -473,6 +492,7 @@ class WPPDFI_Uninstaller {
 			'wppdfi_api_timeout',
 			'wppdfi_settings',
 			'wppdfi_version',
+			'wppdfi_site_presets',
 		);
 
 		$all_transients = array(
@@ -494,6 +514,9 @@ class WPPDFI_Uninstaller {
 			delete_transient( $transient );
 		}
 
+		// Delete per-user data.
+		self::remove_user_meta();
+
 		// Clear object cache.
 		if ( wp_using_ext_object_cache() ) {
 			wp_cache_flush_group( 'wppd-filters' );